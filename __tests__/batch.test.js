@@ -0,0 +1,175 @@
+jest.mock('@actions/core');
+jest.mock('@actions/exec');
+jest.mock('@actions/artifact');
+jest.mock('@actions/github', () => ({
+  context: {
+    repo: {owner: 'student', repo: 'project-student'},
+    ref: 'refs/heads/main',
+    runId: 10,
+    runNumber: 2
+  },
+  getOctokit: jest.fn()
+}));
+
+const core = require('@actions/core');
+const exec = require('@actions/exec');
+const artifact = require('@actions/artifact');
+const github = require('@actions/github');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const utils = require('../utils.js');
+const result = require('../result.js');
+const projects = require('../projects.js');
+const batch = require('../batch.js');
+
+describe('batch', () => {
+  const original = process.cwd();
+  const mapping = projects.validateMapping(projects.defaultMapping);
+
+  let octokit = undefined;
+  let artifactClient = undefined;
+
+  // writes a value to a github command file like the toolkit does
+  function writeCommand(file, name, value) {
+    fs.appendFileSync(file, `${name}<<ghadelimiter_1\n${value}\nghadelimiter_1\n`);
+  }
+
+  beforeAll(() => {
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'batch-')));
+  });
+
+  afterAll(() => {
+    process.chdir(original);
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    utils.warnings = 0;
+    utils.retryDelay = 0;
+
+    github.context.eventName = 'workflow_dispatch';
+
+    octokit = {
+      paginate: jest.fn().mockResolvedValue([
+        {tag_name: 'v2.0.0', draft: false, created_at: '2021-10-02T00:00:00Z'},
+        {tag_name: 'v1.0.1', draft: false, created_at: '2021-09-02T00:00:00Z'},
+        {tag_name: 'v1.0.0', draft: false, created_at: '2021-09-01T00:00:00Z'},
+        {tag_name: 'v1.1.0', draft: true, created_at: '2021-09-03T00:00:00Z'},
+        {tag_name: 'v3.0.0', draft: false, created_at: '2021-11-01T00:00:00Z'}
+      ]),
+      repos: {listReleases: jest.fn()}
+    };
+
+    artifactClient = {
+      uploadArtifact: jest.fn().mockResolvedValue({size: 10, failedItems: []})
+    };
+
+    github.getOctokit.mockReturnValue(octokit);
+    artifact.create.mockReturnValue(artifactClient);
+    core.getInput.mockReturnValue('');
+
+    // simulates each phase saving states and the main phase setting outputs
+    exec.exec.mockImplementation(async (command, param, options) => {
+      if (command !== process.execPath) {
+        return 0;
+      }
+
+      const env = options.env;
+      const version = env[result.batchVariable];
+      const passed = version !== 'v1.0.1';
+
+      if (param[0].endsWith('setup.js')) {
+        writeCommand(env.GITHUB_STATE, 'project', '"1"');
+      }
+
+      if (param[0].endsWith('index.js')) {
+        expect(env.STATE_project).toBe('"1"');
+        writeCommand(env.GITHUB_OUTPUT, 'result', JSON.stringify({project: '1', version: version, passed: passed, message: `Release ${version} ${passed ? 'passed' : 'failed'}.`}));
+        fs.appendFileSync(env.GITHUB_STEP_SUMMARY, `Summary of ${version}\n`);
+      }
+
+      return passed ? 0 : 1;
+    });
+  });
+
+  test('detects batch mode', () => {
+    expect(batch.isBatch(github.context)).toBe(false);
+
+    core.getInput.mockImplementation(name => name === 'releases' ? 'v1.0.0' : '');
+    expect(batch.isBatch(github.context)).toBe(true);
+    expect(batch.isBatch({eventName: 'push'})).toBe(false);
+  });
+
+  test('selects projects and ranges', () => {
+    expect(batch.selectProjects(mapping, '2, 1')).toEqual(['1', '2']);
+    expect(batch.selectProjects(mapping, '1-3b')).toEqual(['1', '2', '3a', '3b']);
+    expect(batch.selectProjects(mapping, '4-3b')).toEqual(['3b', '4']);
+    expect(() => batch.selectProjects(mapping, '5')).toThrow(/^Unable to find project 5 in the mapping/);
+  });
+
+  test('finds published releases of projects', async () => {
+    expect(await batch.findReleases(octokit, 'student', 'project-student', mapping, ['1', '2'])).toEqual(['v1.0.0', 'v1.0.1', 'v2.0.0']);
+  });
+
+  test('parses command files', () => {
+    const text = 'passed<<ghadelimiter_a\ntrue\nghadelimiter_a\nresult<<ghadelimiter_b\n{"a":\n1}\nghadelimiter_b\npassed<<ghadelimiter_c\nfalse\nghadelimiter_c\n';
+    expect(batch.parseCommandFile(text)).toEqual({passed: 'false', result: '{"a":\n1}'});
+  });
+
+  test('names artifacts after release', () => {
+    const env = batch.environment('v1.0.0', batch.releaseDir('v1.0.0'));
+
+    expect(env.GITHUB_REF).toBe('refs/tags/v1.0.0');
+    expect(env.GITHUB_STATE).toBe(path.resolve('batch', 'v1.0.0', 'state.txt'));
+    expect(env.GITHUB_WORKSPACE).toBe(path.resolve('batch', 'v1.0.0'));
+
+    process.env[result.batchVariable] = 'v1.0.0';
+
+    try {
+      expect(result.artifactName('Test Reports')).toBe('Test Reports v1.0.0');
+    }
+    finally {
+      delete process.env[result.batchVariable];
+    }
+
+    expect(result.artifactName('Test Reports')).toBe('Test Reports');
+  });
+
+  test('verifies each release in its own directory', async () => {
+    const outcome = await batch.verifyRelease('v1.0.0');
+
+    expect(outcome).toEqual(expect.objectContaining({version: 'v1.0.0', project: '1', passed: true, codes: [0, 0, 0]}));
+    expect(outcome.summary).toBe('Summary of v1.0.0\n');
+
+    const phases = exec.exec.mock.calls.filter(call => call[0] === process.execPath);
+    expect(phases.map(call => path.basename(call[1][0]))).toEqual(['setup.js', 'index.js', 'cleanup.js']);
+    expect(phases.every(call => call[2].cwd === 'batch/v1.0.0/')).toBe(true);
+  });
+
+  test('verifies project releases with combined results', async () => {
+    core.getInput.mockImplementation(name => name === 'projects' ? '1' : '');
+
+    await batch.run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Unable to verify releases. 1 of 2 releases failed verification: v1.0.1.');
+    expect(artifactClient.uploadArtifact).toHaveBeenCalledWith('Batch Verification Result', ['batch.json'], '.');
+
+    const document = JSON.parse(fs.readFileSync('batch.json', 'utf8'));
+    expect(document.passed).toBe(false);
+    expect(document.releases.map(release => [release.version, release.passed])).toEqual([['v1.0.0', true], ['v1.0.1', false]]);
+
+    const summary = batch.summarize(document.releases.map(release => Object.assign({summary: ''}, release)));
+    expect(summary).toMatch(/^## :x: 1 of 2 releases passed verification\./);
+    expect(summary).toContain('| `v1.0.1` | 1 | :x: Failed | Release v1.0.1 failed. |');
+  });
+
+  test('fails without releases', async () => {
+    core.getInput.mockImplementation(name => name === 'projects' ? '4' : '');
+
+    await batch.run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Unable to verify releases. Unable to find any releases to verify.');
+    expect(exec.exec).not.toHaveBeenCalledWith(process.execPath, expect.anything(), expect.anything());
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('@actions/core');
+jest.mock('@actions/exec');
+
+const exec = require('@actions/exec');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const benchmark = require('../benchmark.js');
+
+describe('benchmark', () => {
+  const original = process.cwd();
+  const settings = benchmark.validateSettings({main: 'edu.usfca.cs272.Driver', args: ['-text', 'input/text/'], threads: [2, 4], 'min-speedup': 1.5}, 'test');
+
+  // sandboxed runs create their writable directories
+  beforeAll(() => {
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'benchmark-')));
+  });
+
+  afterAll(() => {
+    process.chdir(original);
+  });
+
+  test('normalizes settings', () => {
+    expect(settings).toEqual({
+      main: 'edu.usfca.cs272.Driver',
+      args: ['-text', 'input/text/'],
+      threads: [2, 4],
+      flag: '-threads',
+      warmup: 1,
+      runs: 5,
+      'min-speedup': 1.5
+    });
+  });
+
+  test.each([
+    [[], /as an object/],
+    [{args: []}, /missing the benchmark main class/],
+    [{main: 'Driver', threads: [0]}, /positive numbers/],
+    [{main: 'Driver', runs: 0}, /invalid benchmark runs count/],
+    [{main: 'Driver', 'min-speedup': 'fast'}, /invalid benchmark min-speedup/]
+  ])('rejects %p', (settings, message) => {
+    expect(() => benchmark.validateSettings(settings, 'test')).toThrow(message);
+  });
+
+  test.each([
+    [[3, 1, 2], 2],
+    [[4, 1, 3, 2], 2.5],
+    [[7], 7]
+  ])('finds median of %p', (values, expected) => {
+    expect(benchmark.median(values)).toBe(expected);
+  });
+
+  test('runs single-threaded configuration first', () => {
+    expect(benchmark.configurations(settings).map(config => config.args)).toEqual([
+      ['-text', 'input/text/'],
+      ['-text', 'input/text/', '-threads', '2'],
+      ['-text', 'input/text/', '-threads', '4']
+    ]);
+  });
+
+  test('computes speedup from median times', () => {
+    const summary = benchmark.summarize(settings, [
+      {threads: 1, times: [1000, 900, 5000]},
+      {threads: 2, times: [600, 500, 550]},
+      {threads: 4, times: [400, 450, 300]}
+    ]);
+
+    expect(summary.configurations.map(config => config.speedup)).toEqual([null, 1.82, 2.5]);
+    expect(summary.speedup).toBe(2.5);
+    expect(summary.passed).toBe(true);
+    expect(benchmark.summarizeBenchmark(summary)).toContain('| 4 | 400 ms | 2.50x | 400, 450, 300 ms |');
+  });
+
+  test('fails below required speedup', () => {
+    const summary = benchmark.summarize(settings, [
+      {threads: 1, times: [1000]},
+      {threads: 2, times: [1100]},
+      {threads: 4, times: [900]}
+    ]);
+
+    expect(summary.speedup).toBe(1.11);
+    expect(summary.passed).toBe(false);
+  });
+
+  test('measures inside sandbox', async () => {
+    const limits = {memory: 512, cpu: 600, processes: 0};
+    const quick = Object.assign({}, settings, {threads: [2], warmup: 0, runs: 1});
+
+    process.env.INPUT_TOKEN = 'secret';
+    exec.exec.mockResolvedValue(0);
+
+    try {
+      const measured = await benchmark.measure(quick, 'classes', 0, limits);
+      expect(measured.map(config => config.threads)).toEqual([1, 2]);
+    }
+    finally {
+      delete process.env.INPUT_TOKEN;
+    }
+
+    expect(exec.exec).toHaveBeenCalledWith('bwrap', expect.arrayContaining(['java', 'edu.usfca.cs272.Driver']), expect.objectContaining({
+      cwd: 'project-tests/',
+      env: expect.objectContaining({INPUT_TOKEN: undefined, JAVA_TOOL_OPTIONS: expect.stringMatching(/-Xmx512m$/)})
+    }));
+  });
+
+  test('fails benchmark reaching sandbox limit', async () => {
+    const limits = {memory: 512, cpu: 600, processes: 0};
+    const quick = Object.assign({}, settings, {warmup: 0, runs: 1});
+
+    exec.exec.mockImplementation(async (command, param, options) => {
+      options.listeners.stderr(Buffer.from('java.lang.OutOfMemoryError: Java heap space\n'));
+      return 1;
+    });
+
+    await expect(benchmark.measure(quick, 'classes', 0, limits)).rejects.toThrow('Unable to run single-threaded benchmark (ran out of memory (limited to 512 MB)).');
+  });
+});
@@ -0,0 +1,308 @@
+jest.mock('@actions/core');
+jest.mock('@actions/exec');
+jest.mock('@actions/cache');
+jest.mock('@actions/artifact');
+jest.mock('@actions/glob');
+jest.mock('@actions/github', () => ({
+  context: {
+    repo: {owner: 'student', repo: 'project-student'},
+    ref: 'refs/tags/v1.2.3',
+    runId: 10,
+    runNumber: 2
+  },
+  getOctokit: jest.fn()
+}));
+
+const core = require('@actions/core');
+const exec = require('@actions/exec');
+const cache = require('@actions/cache');
+const artifact = require('@actions/artifact');
+const glob = require('@actions/glob');
+const github = require('@actions/github');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const utils = require('../utils.js');
+const maven = require('../maven.js');
+const cleanup = require('../cleanup.js');
+
+describe('cleanup', () => {
+  const original = process.cwd();
+
+  let octokit = undefined;
+  let artifactClient = undefined;
+  let states = undefined;
+
+  // sets up the states restored from earlier phases
+  function restore(values) {
+    const saved = new Map(Object.entries(values).map(([key, value]) => [key, JSON.stringify(value)]));
+    saved.set('keys', JSON.stringify(Object.keys(values)));
+    core.getState.mockImplementation(name => saved.has(name) ? saved.get(name) : '');
+  }
+
+  beforeAll(() => {
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'cleanup-')));
+  });
+
+  afterAll(() => {
+    process.chdir(original);
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    utils.warnings = 0;
+    utils.retryDelay = 0;
+
+    github.context.ref = 'refs/tags/v1.2.3';
+
+    states = {
+      mode: 'release',
+      version: 'v1.2.3',
+      passed: true,
+      message: 'All Project 1 verification tests of v1.2.3 passed!',
+      testKey: 'project-tests-abc123',
+      testCache: 'project-tests-abc123'
+    };
+
+    octokit = {
+      issues: {
+        listComments: jest.fn(),
+        createComment: jest.fn().mockResolvedValue({status: 201, data: {id: 9}}),
+        updateComment: jest.fn().mockResolvedValue({status: 200, data: {id: 8}})
+      },
+      paginate: jest.fn().mockResolvedValue([]),
+      repos: {
+        getReleaseByTag: jest.fn().mockResolvedValue({status: 200, data: {id: 5, tag_name: 'v1.2.3', body: 'My first release!'}}),
+        updateRelease: jest.fn().mockResolvedValue({status: 200, data: {id: 5, tag_name: 'v1.2.3'}})
+      }
+    };
+
+    artifactClient = {
+      uploadArtifact: jest.fn().mockResolvedValue({size: 10, failedItems: []})
+    };
+
+    github.getOctokit.mockReturnValue(octokit);
+    artifact.create.mockReturnValue(artifactClient);
+    glob.create.mockResolvedValue({glob: jest.fn().mockResolvedValue([])});
+    exec.exec.mockResolvedValue(0);
+    core.getInput.mockReturnValue('');
+  });
+
+  test('updates release with result', async () => {
+    restore(states);
+
+    await cleanup.run();
+
+    expect(octokit.repos.updateRelease).toHaveBeenCalledWith({
+      owner: 'student',
+      repo: 'project-student',
+      release_id: 5,
+      body: expect.stringMatching(/^My first release!\n\n<!-- test-project:start -->\n\n### :heavy_check_mark: All Project 1 verification tests of v1.2.3 passed!/)
+    });
+    expect(utils.warnings).toBe(0);
+  });
+
+  test('warns about missing release', async () => {
+    octokit.repos.getReleaseByTag.mockRejectedValue(Object.assign(new Error('Not Found'), {status: 404}));
+    restore(states);
+
+    await cleanup.run();
+
+    expect(octokit.repos.updateRelease).not.toHaveBeenCalled();
+    expect(utils.warnings).toBe(1);
+    expect(core.warning).toHaveBeenCalledWith(expect.stringMatching(/^There was 1 warning/));
+  });
+
+  test('updates release with tag not starting with v', async () => {
+    github.context.ref = 'refs/tags/project1-final';
+    restore(Object.assign(states, {version: 'project1-final'}));
+
+    await cleanup.run();
+
+    expect(octokit.repos.getReleaseByTag).toHaveBeenCalledWith(expect.objectContaining({tag: 'project1-final'}));
+    expect(octokit.repos.updateRelease).toHaveBeenCalled();
+  });
+
+  test('skips release for other refs', async () => {
+    github.context.ref = 'refs/heads/main';
+    restore(states);
+
+    await cleanup.run();
+
+    expect(octokit.repos.getReleaseByTag).not.toHaveBeenCalled();
+  });
+
+  test('comments on pull request instead of release', async () => {
+    github.context.ref = 'refs/pull/7/merge';
+    restore(Object.assign(states, {mode: 'pull_request', pull: 7, version: 'PR #7'}));
+
+    await cleanup.run();
+
+    expect(octokit.repos.getReleaseByTag).not.toHaveBeenCalled();
+    expect(octokit.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({issue_number: 7}));
+    expect(utils.warnings).toBe(0);
+  });
+
+  test('comments on pull request without project label', async () => {
+    github.context.ref = 'refs/pull/7/merge';
+    restore({mode: 'pull_request', pull: 7});
+
+    await cleanup.run();
+
+    expect(octokit.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+      issue_number: 7,
+      body: expect.stringContaining('Unable to run the verification tests.')
+    }));
+  });
+
+  test('skips reports after passing tests', async () => {
+    restore(states);
+
+    await cleanup.run();
+
+    expect(exec.exec).not.toHaveBeenCalledWith('mvn', expect.anything(), expect.anything());
+    expect(artifactClient.uploadArtifact).toHaveBeenCalledTimes(1);
+    expect(artifactClient.uploadArtifact).toHaveBeenCalledWith('Verification Result', ['result.json'], '.');
+  });
+
+  test('uploads reports after failing tests', async () => {
+    restore(Object.assign(states, {passed: false}));
+
+    await cleanup.run();
+
+    expect(exec.exec).toHaveBeenCalledWith('mvn', ['-ntp', 'surefire-report:report-only'], expect.anything());
+    expect(artifactClient.uploadArtifact).toHaveBeenCalledWith('Test Reports', ['results.zip'], '.');
+  });
+
+  test('uploads differences with actual output', async () => {
+    fs.mkdirSync('project-tests/actual', {recursive: true});
+    fs.mkdirSync('project-tests/expected', {recursive: true});
+    fs.writeFileSync('project-tests/actual/output.txt', 'actual\n');
+    fs.writeFileSync('project-tests/expected/output.txt', 'expected\n');
+
+    glob.create.mockResolvedValue({glob: jest.fn().mockResolvedValue(['project-tests/actual/output.txt'])});
+    restore(Object.assign(states, {passed: false}));
+
+    try {
+      await cleanup.run();
+    }
+    finally {
+      fs.rmSync('project-tests', {recursive: true});
+    }
+
+    expect(artifactClient.uploadArtifact).toHaveBeenCalledWith('Actual Output', ['actual.zip', 'actual.patch'], '.');
+    expect(fs.readFileSync('actual.patch', 'utf8')).toContain('-expected\n+actual');
+  });
+
+  test('warns about invalid states', async () => {
+    restore(Object.assign(states, {passed: 'true'}));
+
+    await cleanup.run();
+
+    expect(utils.warnings).toBe(1);
+  });
+
+  test('skips saving exact cache', async () => {
+    restore(states);
+
+    await cleanup.run();
+
+    expect(cache.saveCache).not.toHaveBeenCalled();
+  });
+
+  test('saves old cache', async () => {
+    restore(Object.assign(states, {testCache: 'project-tests-old'}));
+
+    await cleanup.run();
+
+    expect(cache.saveCache).toHaveBeenCalledWith(['project-tests'], 'project-tests-abc123');
+  });
+
+  test('refuses to save dirty cache', async () => {
+    restore(Object.assign(states, {testCache: 'project-tests-old'}));
+    exec.exec.mockImplementation(async (command, param, options) => {
+      if (command === 'git' && param[0] === 'status') {
+        options.listeners.stdout(Buffer.from('?? notes.txt\n'));
+      }
+
+      return 0;
+    });
+
+    await cleanup.run();
+
+    expect(cache.saveCache).not.toHaveBeenCalledWith(['project-tests'], expect.anything());
+    expect(core.info).toHaveBeenCalledWith(expect.stringMatching(/Refusing to save project-tests cache with 1 changed files: \?\? notes.txt/));
+  });
+
+  test('removes actual files before saving cache after passing run', async () => {
+    fs.mkdirSync('project-tests/actual', {recursive: true});
+    fs.writeFileSync('project-tests/actual/output.txt', 'actual\n');
+
+    restore(Object.assign(states, {testCache: 'project-tests-old'}));
+    exec.exec.mockImplementation(async (command, param, options) => {
+      if (command === 'rm') {
+        fs.rmSync(param[1], {recursive: true, force: true});
+      }
+
+      if (command === 'git' && param[0] === 'status' && fs.existsSync('project-tests/actual/output.txt')) {
+        options.listeners.stdout(Buffer.from('!! actual/output.txt\n'));
+      }
+
+      return 0;
+    });
+
+    try {
+      await cleanup.run();
+    }
+    finally {
+      fs.rmSync('project-tests', {recursive: true, force: true});
+    }
+
+    expect(exec.exec).toHaveBeenCalledWith('rm', ['-rf', 'project-tests/actual'], expect.anything());
+    expect(cache.saveCache).toHaveBeenCalledWith(['project-tests'], 'project-tests-abc123');
+    expect(utils.warnings).toBe(0);
+  });
+
+  test('saves maven repository cache', async () => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'm2-'));
+    const original = maven.repositoryDir;
+
+    fs.writeFileSync(path.join(home, 'plugin.jar'), Buffer.alloc(2 * 1024 * 1024));
+    maven.repositoryDir = home;
+
+    try {
+      restore(Object.assign(states, {mavenKey: 'maven-abc', mavenCache: 'maven-old'}));
+      await cleanup.run();
+
+      expect(cache.saveCache).toHaveBeenCalledWith([home], 'maven-abc');
+      cache.saveCache.mockClear();
+
+      core.getInput.mockImplementation(name => name === 'maven-cache-limit' ? '1' : '');
+      await cleanup.run();
+
+      expect(cache.saveCache).not.toHaveBeenCalled();
+      expect(core.info).toHaveBeenCalledWith(expect.stringContaining('Skipped saving maven repository cache; 2.0 MB is larger than the 1.0 MB limit.'));
+    }
+    finally {
+      maven.repositoryDir = original;
+      fs.rmSync(home, {recursive: true});
+    }
+  });
+
+  test('skips exact maven repository cache', async () => {
+    restore(Object.assign(states, {mavenKey: 'maven-abc', mavenCache: 'maven-abc'}));
+
+    await cleanup.run();
+
+    expect(cache.saveCache).not.toHaveBeenCalled();
+  });
+
+  test('skips cache without key', async () => {
+    delete states.testKey;
+    restore(states);
+
+    await cleanup.run();
+
+    expect(cache.saveCache).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,86 @@
+jest.mock('@actions/core');
+jest.mock('@actions/github', () => ({
+  context: {
+    repo: {owner: 'student', repo: 'project-student'},
+    runId: 10,
+    runNumber: 2
+  }
+}));
+
+const comment = require('../comment.js');
+const projects = require('../projects.js');
+const result = require('../result.js');
+
+describe('comment', () => {
+  const states = {pull: 7, passed: false, message: 'One or more Project 1 verification tests of PR #7 failed.'};
+  let results = undefined;
+  let octokit = undefined;
+
+  beforeEach(() => {
+    results = result.create();
+    results.repositories = {
+      main: {name: 'student/project-student', sha: 'abc123'},
+      tests: {name: 'student/project-tests', sha: 'def456'}
+    };
+    results.warnings = {main: 2, categories: {rawtypes: 2}};
+    results.artifacts = ['Test Reports'];
+    results.tests.debug = {tests: [
+      {classname: 'edu.Project1Test$Output', name: 'testSimple()', outcome: 'passed', message: null},
+      {classname: 'edu.Project1Test$Output', name: 'testEmpty()', outcome: 'failed', message: 'expected: <1>\nbut was: <2>'}
+    ]};
+
+    octokit = {
+      issues: {
+        listComments: jest.fn(),
+        createComment: jest.fn().mockResolvedValue({status: 201, data: {id: 9}}),
+        updateComment: jest.fn().mockResolvedValue({status: 200, data: {id: 8}})
+      },
+      paginate: jest.fn().mockResolvedValue([{id: 3, body: 'Looks good!'}])
+    };
+  });
+
+  test('finds project labels', () => {
+    const mapping = projects.validateMapping(projects.defaultMapping);
+
+    expect(comment.findProjectLabel(mapping, [{name: 'bug'}, {name: 'project-3A'}], 'project-')).toBe('3a');
+    expect(comment.findProjectLabel(mapping, [{name: 'project-5'}], 'project-')).toBeUndefined();
+  });
+
+  test('creates body with results', () => {
+    const body = comment.createBody(states, results);
+
+    expect(body.startsWith(comment.marker)).toBe(true);
+    expect(body).toContain('## :x: One or more Project 1 verification tests of PR #7 failed.');
+    expect(body).toContain('commit abc123 using `student/project-tests` commit def456');
+    expect(body).toContain('- `Project1Test.Output.testEmpty` failed: expected: <1>\n');
+    expect(body).not.toContain('testSimple');
+    expect(body).toContain('| `rawtypes` | 2 |');
+    expect(body).toContain('[action run #2](https://github.com/student/project-student/actions/runs/10)');
+    expect(body).toContain('"Test Reports" artifacts');
+  });
+
+  test('creates body with setup failure', () => {
+    results.message = 'Setup failed. Unable to determine project for pull request #7. Add one of these labels to the pull request: project-1.';
+    const body = comment.createBody({pull: 7}, results);
+
+    expect(body).toContain('## :warning: Unable to run the verification tests. Setup failed. Unable to determine project for pull request #7. Add one of these labels');
+  });
+
+  test('creates new comment', async () => {
+    await comment.updateComment(octokit, states, results);
+
+    expect(octokit.issues.updateComment).not.toHaveBeenCalled();
+    expect(octokit.issues.createComment).toHaveBeenCalledWith(expect.objectContaining({
+      owner: 'student', repo: 'project-student', issue_number: 7
+    }));
+  });
+
+  test('updates earlier comment', async () => {
+    octokit.paginate.mockResolvedValue([{id: 3, body: 'Looks good!'}, {id: 8, body: `${comment.marker}\nold`}]);
+
+    await comment.updateComment(octokit, states, results);
+
+    expect(octokit.issues.createComment).not.toHaveBeenCalled();
+    expect(octokit.issues.updateComment).toHaveBeenCalledWith(expect.objectContaining({comment_id: 8}));
+  });
+});
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const compare = require('../compare.js');
+
+describe('compare', () => {
+  let actualDir = undefined;
+  let expectedDir = undefined;
+
+  // writes a file, creating any missing directories
+  function write(file, text) {
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+    fs.writeFileSync(file, text);
+  }
+
+  beforeAll(() => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'compare-'));
+    actualDir = path.join(directory, 'actual');
+    expectedDir = path.join(directory, 'expected');
+
+    write(path.join(expectedDir, 'index-simple', 'hello.json'), '{\n  "hello": 1\n}\n');
+    write(path.join(expectedDir, 'counts-simple', 'counts.json'), '{\n  "a.txt": 2\n}\n');
+    write(path.join(expectedDir, 'same.txt'), 'same\n');
+
+    write(path.join(actualDir, 'hello.json'), '{\n  "hello": 2\n}\n');
+    write(path.join(actualDir, 'counts-simple', 'counts.json'), '{\n  "a.txt": 3\n}\n');
+    write(path.join(actualDir, 'same.txt'), 'same\n');
+    write(path.join(actualDir, 'extra.txt'), 'extra\n');
+  });
+
+  test('lists files recursively', () => {
+    expect(compare.listFiles(expectedDir)).toEqual(['counts-simple/counts.json', 'index-simple/hello.json', 'same.txt']);
+    expect(compare.listFiles('missing')).toEqual([]);
+  });
+
+  test('finds expected files by path then name', () => {
+    const expected = compare.listFiles(expectedDir);
+
+    expect(compare.findExpected('counts-simple/counts.json', expected)).toBe('counts-simple/counts.json');
+    expect(compare.findExpected('hello.json', expected)).toBe('index-simple/hello.json');
+    expect(compare.findExpected('extra.txt', expected)).toBeUndefined();
+  });
+
+  test('compares mismatched files', () => {
+    const diffs = compare.compareFiles(actualDir, expectedDir);
+
+    expect(diffs.map(diff => diff.actual)).toEqual(['counts-simple/counts.json', 'extra.txt', 'hello.json']);
+    expect(diffs[1].patch).toBeNull();
+    expect(diffs[2].patch).toContain('--- expected/index-simple/hello.json');
+    expect(diffs[2].patch).toContain('-  "hello": 1\n+  "hello": 2');
+  });
+
+  test('truncates long patches', () => {
+    const patch = ['a', 'b', 'c', 'd'].join('\n');
+
+    expect(compare.truncatePatch(patch, 2)).toEqual({patch: 'a\nb\n... (2 more lines)', truncated: true});
+    expect(compare.truncatePatch(patch, 0)).toEqual({patch: patch, truncated: false});
+  });
+
+  test('summarizes limited number of diffs', () => {
+    const summary = compare.summarizeDiffs(compare.compareFiles(actualDir, expectedDir), 3, 2);
+
+    expect(summary).toContain('<code>actual/counts-simple/counts.json</code> does not match <code>expected/counts-simple/counts.json</code> (truncated)');
+    expect(summary).toContain('No expected file found for `actual/extra.txt`');
+    expect(summary).not.toContain('hello.json');
+    expect(summary).toContain('Skipped 1 more files.');
+  });
+
+  test('skips files too different to diff', () => {
+    const limit = compare.maxEditLength;
+    compare.maxEditLength = 1;
+
+    try {
+      const diffs = compare.compareFiles(actualDir, expectedDir);
+      expect(diffs[0]).toEqual({actual: 'counts-simple/counts.json', expected: 'counts-simple/counts.json', patch: null});
+
+      const summary = compare.summarizeDiffs(diffs, 0, 0);
+      expect(summary).toContain('`actual/hello.json` does not match `expected/index-simple/hello.json`, but the files are too different to diff.');
+      expect(summary).toContain('No expected file found for `actual/extra.txt`');
+    }
+    finally {
+      compare.maxEditLength = limit;
+    }
+  });
+
+  test('writes patch file', () => {
+    const file = path.join(path.dirname(actualDir), 'actual.patch');
+    compare.writePatch(compare.compareFiles(actualDir, expectedDir), file);
+
+    const text = fs.readFileSync(file, 'utf8');
+    expect(text).toContain('+++ actual/hello.json');
+    expect(text).toContain('+++ actual/counts-simple/counts.json');
+  });
+});
@@ -0,0 +1,102 @@
+jest.mock('@actions/core');
+
+const core = require('@actions/core');
+const coverage = require('../coverage.js');
+
+const report = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<!DOCTYPE report PUBLIC "-//JACOCO//DTD Report 1.1//EN" "report.dtd">
+<report name="project-main">
+  <sessioninfo id="runner" start="1" dump="2"/>
+  <package name="edu/usfca/cs272">
+    <class name="edu/usfca/cs272/Driver" sourcefilename="Driver.java">
+      <method name="&lt;init&gt;" desc="()V" line="8">
+        <counter type="INSTRUCTION" missed="3" covered="0"/>
+        <counter type="LINE" missed="1" covered="0"/>
+        <counter type="METHOD" missed="1" covered="0"/>
+      </method>
+      <method name="main" desc="([Ljava/lang/String;)V" line="12">
+        <counter type="INSTRUCTION" missed="2" covered="20"/>
+        <counter type="BRANCH" missed="1" covered="3"/>
+        <counter type="LINE" missed="1" covered="5"/>
+        <counter type="METHOD" missed="0" covered="1"/>
+      </method>
+      <method name="lambda$main$0" desc="()V" line="14">
+        <counter type="METHOD" missed="1" covered="0"/>
+      </method>
+      <counter type="INSTRUCTION" missed="5" covered="20"/>
+      <counter type="BRANCH" missed="1" covered="3"/>
+      <counter type="LINE" missed="2" covered="5"/>
+      <counter type="METHOD" missed="2" covered="1"/>
+    </class>
+    <class name="edu/usfca/cs272/Parser$Helper" sourcefilename="Parser.java">
+      <method name="parse" desc="()V" line="30">
+        <counter type="LINE" missed="0" covered="4"/>
+        <counter type="METHOD" missed="0" covered="1"/>
+      </method>
+      <counter type="LINE" missed="0" covered="4"/>
+      <counter type="METHOD" missed="0" covered="1"/>
+    </class>
+    <sourcefile name="Driver.java">
+      <line nr="8" mi="3" ci="0" mb="0" cb="0"/>
+      <counter type="LINE" missed="2" covered="5"/>
+    </sourcefile>
+    <counter type="LINE" missed="2" covered="9"/>
+  </package>
+  <counter type="BRANCH" missed="1" covered="3"/>
+  <counter type="LINE" missed="2" covered="9"/>
+  <counter type="METHOD" missed="2" covered="2"/>
+</report>
+`;
+
+describe('coverage', () => {
+  let parsed = undefined;
+
+  beforeAll(async () => {
+    parsed = await coverage.parseReport(report);
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('parses class coverage', () => {
+    expect(parsed.line).toEqual({missed: 2, covered: 9});
+    expect(parsed.branch).toEqual({missed: 1, covered: 3});
+    expect(parsed.classes.map(found => found.name)).toEqual(['edu.usfca.cs272.Driver', 'edu.usfca.cs272.Parser$Helper']);
+    expect(parsed.classes[1].branch).toEqual({missed: 0, covered: 0});
+  });
+
+  test('finds uncovered methods', () => {
+    expect(parsed.classes[0].source).toBe('edu/usfca/cs272/Driver.java');
+    expect(parsed.classes[0].uncovered).toEqual([{name: 'Driver', line: 8}]);
+    expect(parsed.classes[1].uncovered).toEqual([]);
+  });
+
+  test.each([
+    [{missed: 1, covered: 3}, '75.0%'],
+    [{missed: 0, covered: 4}, '100.0%'],
+    [{missed: 0, covered: 0}, '-']
+  ])('formats %p as %p', (counter, expected) => {
+    expect(coverage.percent(counter)).toBe(expected);
+  });
+
+  test('annotates uncovered methods', () => {
+    expect(coverage.annotateMethods(parsed)).toBe(1);
+    expect(core.notice).toHaveBeenCalledWith(
+      'The Driver method of edu.usfca.cs272.Driver was never run by the verification tests.',
+      {title: 'Uncovered method', file: 'src/main/java/edu/usfca/cs272/Driver.java', startLine: 8}
+    );
+  });
+
+  test('summarizes coverage', () => {
+    const summary = coverage.summarizeCoverage(parsed);
+
+    expect(summary).toContain('| `edu.usfca.cs272.Driver` | 71.4% | 75.0% | 1 |');
+    expect(summary).toContain('| `edu.usfca.cs272.Parser$Helper` | 100.0% | - | 0 |');
+    expect(summary).toContain('| **Total** | **81.8%** | **75.0%** | **1** |');
+  });
+
+  test('returns nothing without report file', async () => {
+    await expect(coverage.parseReportFile('missing.xml')).resolves.toBeUndefined();
+  });
+});
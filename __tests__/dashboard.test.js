@@ -0,0 +1,153 @@
+jest.mock('@actions/core');
+jest.mock('@actions/artifact');
+jest.mock('@actions/github', () => ({
+  context: {
+    repo: {owner: 'course', repo: 'grading'},
+    ref: 'refs/heads/main',
+    runId: 10,
+    runNumber: 2
+  },
+  getOctokit: jest.fn()
+}));
+
+const core = require('@actions/core');
+const artifact = require('@actions/artifact');
+const github = require('@actions/github');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const utils = require('../utils.js');
+const projects = require('../projects.js');
+const dashboard = require('../dashboard.js');
+
+describe('dashboard', () => {
+  const original = process.cwd();
+  const mapping = projects.validateMapping(projects.defaultMapping);
+
+  let octokit = undefined;
+  let artifactClient = undefined;
+
+  // creates a release description with the data written by the post phase
+  function body(passed, date) {
+    return `<!-- test-project:start -->\n<!-- test-project:data ${JSON.stringify({passed: passed, history: [{run: 1, date: date, passed: passed}]})} -->\n<!-- test-project:end -->`;
+  }
+
+  const releases = {
+    'project-alice': [
+      {tag_name: 'v1.0.0', draft: false, published_at: '2021-09-01T00:00:00Z', body: body(true, '2021-09-01T00:05:00Z')},
+      {tag_name: 'v1.0.1', draft: false, published_at: '2021-09-02T00:00:00Z', body: body(false, '2021-09-02T00:05:00Z')},
+      {tag_name: 'v2.0.0', draft: true, published_at: null, created_at: '2021-10-01T00:00:00Z', body: ''}
+    ],
+    'project-bob': [
+      {tag_name: 'v1.0.0', draft: false, published_at: '2021-09-03T00:00:00Z', body: 'Ready for review.'}
+    ]
+  };
+
+  beforeAll(() => {
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-')));
+  });
+
+  afterAll(() => {
+    process.chdir(original);
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    utils.warnings = 0;
+    utils.retryDelay = 0;
+
+    octokit = {
+      paginate: jest.fn().mockImplementation(async (method, params) => {
+        if (method === octokit.repos.listForOrg) {
+          return [{name: 'project-tests'}, {name: 'project-bob'}, {name: 'project-alice'}, {name: 'syllabus'}, {name: 'project-carol'}];
+        }
+
+        if (!(params.repo in releases)) {
+          const error = new Error('Not Found');
+          error.status = 404;
+          throw error;
+        }
+
+        return releases[params.repo];
+      }),
+      repos: {
+        listForOrg: jest.fn(),
+        listReleases: jest.fn(),
+        getContent: jest.fn()
+      }
+    };
+
+    artifactClient = {
+      uploadArtifact: jest.fn().mockResolvedValue({size: 10, failedItems: []})
+    };
+
+    github.getOctokit.mockReturnValue(octokit);
+    artifact.create.mockReturnValue(artifactClient);
+    core.getInput.mockReturnValue('');
+  });
+
+  test('parses formats', () => {
+    expect(dashboard.parseFormats('CSV, html csv')).toEqual(['csv', 'html']);
+    expect(() => dashboard.parseFormats('pdf')).toThrow(/^Unsupported dashboard format: pdf/);
+  });
+
+  test('lists student repositories', async () => {
+    expect(await dashboard.listRepositories(octokit, 'course', '^project-')).toEqual(['project-alice', 'project-bob', 'project-carol']);
+  });
+
+  test('creates rows from recorded results', async () => {
+    const collected = await dashboard.collectReleases(octokit, 'course', 'project-alice', mapping);
+    const rows = dashboard.createRows('project-alice', collected, mapping);
+
+    expect(rows.map(row => row.project)).toEqual(['1', '2', '3a', '3b', '4']);
+    expect(rows[0]).toEqual({
+      repository: 'project-alice',
+      project: '1',
+      status: 'failed',
+      releases: 2,
+      latest: 'v1.0.1',
+      latestDate: '2021-09-02T00:00:00Z',
+      passing: 'v1.0.0',
+      passingDate: '2021-09-01T00:00:00Z',
+      verified: '2021-09-02T00:05:00Z'
+    });
+
+    expect(rows[1]).toEqual(expect.objectContaining({status: 'none', releases: 0, latest: null}));
+  });
+
+  test('creates csv and html reports', () => {
+    const rows = [{repository: 'project-a,b', project: '1', status: 'passed', releases: 1, latest: 'v1.0.0', latestDate: null, passing: 'v1.0.0', passingDate: null, verified: null}];
+
+    expect(dashboard.toCsv(rows)).toBe('repository,project,status,releases,latest,latestDate,passing,passingDate,verified\n"project-a,b",1,passed,1,v1.0.0,,v1.0.0,,\n');
+
+    const html = dashboard.toHtml({org: '<course>', created: '2021-12-01', repositories: ['project-a,b'], rows: rows});
+    expect(html).toContain('<title>&lt;course&gt; Grading Dashboard</title>');
+    expect(html).toContain('<tr class="passed"><td>project-a,b</td><td>1</td>');
+  });
+
+  test('uploads dashboard reports', async () => {
+    core.getInput.mockImplementation(name => ({dashboard: 'csv,json,html', 'dashboard-pattern': '^project-'})[name] || '');
+
+    await dashboard.run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(artifactClient.uploadArtifact).toHaveBeenCalledWith('Grading Dashboard', ['dashboard.csv', 'dashboard.json', 'dashboard.html'], '.');
+
+    const document = JSON.parse(fs.readFileSync('dashboard.json', 'utf8'));
+    expect(document.org).toBe('course');
+    expect(document.repositories).toEqual(['project-alice', 'project-bob']);
+    expect(document.skipped).toEqual(['project-carol']);
+    expect(document.rows.filter(row => row.project === '1').map(row => row.status)).toEqual(['failed', 'unverified']);
+    expect(utils.warnings).toBe(1);
+  });
+
+  test('summarizes statuses of each project', () => {
+    const rows = [
+      {project: '1', status: 'passed'},
+      {project: '1', status: 'failed'},
+      {project: '2', status: 'none'}
+    ];
+
+    expect(dashboard.summarizeDashboard(rows)).toContain('| 1 | 1 | 1 | 0 | 0 |\n| 2 | 0 | 0 | 0 | 1 |');
+  });
+});
@@ -0,0 +1,84 @@
+jest.mock('@actions/core');
+
+const utils = require('../utils.js');
+const deadline = require('../deadline.js');
+
+describe('deadline', () => {
+  const settings = {deadline: '2021-09-25T06:59:59.000Z', cutoff: '2021-10-02T06:59:59.000Z'};
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    utils.retryDelay = 0;
+  });
+
+  test('normalizes deadlines', () => {
+    expect(deadline.validateDeadline({deadline: '2021-09-24T23:59:59-07:00'}, 'test')).toEqual({deadline: '2021-09-25T06:59:59.000Z', cutoff: null});
+    expect(deadline.validateDeadline({}, 'test')).toBeUndefined();
+  });
+
+  test.each([
+    [{deadline: 'soon'}, /invalid deadline date/],
+    [{deadline: '2021-09-24', cutoff: 'later'}, /invalid cutoff date/],
+    [{cutoff: '2021-09-24'}, /cutoff date without a deadline/]
+  ])('rejects %p', (entry, message) => {
+    expect(() => deadline.validateDeadline(entry, 'test')).toThrow(message);
+  });
+
+  test.each([
+    [{commit: '2021-09-24T12:00:00Z', release: '2021-09-25T06:00:00Z', pushed: null, run: '2021-09-25T06:01:00Z'}, 'on-time', 0, 'release'],
+    [{commit: '2021-09-24T12:00:00Z', release: '2021-09-25T07:00:00Z', pushed: null, run: '2021-09-25T07:01:00Z'}, 'late', 1, 'release'],
+    [{commit: '2021-09-20T12:00:00Z', release: null, pushed: '2021-09-27T12:00:00Z', run: '2021-09-27T12:01:00Z'}, 'late', 3, 'pushed'],
+    [{commit: '2021-09-20T12:00:00Z', release: null, pushed: null, run: '2021-09-26T12:00:00Z'}, 'late', 2, 'run'],
+    [{commit: '2021-09-24T12:00:00Z', release: '2021-10-03T00:00:00Z', pushed: null, run: '2021-10-03T00:01:00Z'}, 'past-cutoff', 8, 'release']
+  ])('classifies %p', (times, classification, days, source) => {
+    expect(deadline.classify(times, settings)).toEqual(expect.objectContaining({classification: classification, days: days, source: source}));
+  });
+
+  test('never uses commit time', () => {
+    expect(() => deadline.classify({commit: '2021-09-20T12:00:00Z', release: null, pushed: null, run: null}, settings)).toThrow('Unable to find when the release was submitted.');
+  });
+
+  test('never classifies past cutoff without one', () => {
+    const submission = deadline.classify({commit: '2022-01-01T00:00:00Z', release: null, pushed: null, run: '2022-01-01T00:00:00Z'}, {deadline: settings.deadline, cutoff: null});
+    expect(submission.classification).toBe('late');
+  });
+
+  test('finds push time of tag', () => {
+    const context = {eventName: 'push', ref: 'refs/tags/v1.0.0', payload: {ref: 'refs/tags/v1.0.0', repository: {pushed_at: 1632700800}}};
+    expect(deadline.findPushTime(context)).toBe('2021-09-27T00:00:00.000Z');
+
+    // batch runs are not started by pushing the tag being verified
+    expect(deadline.findPushTime(Object.assign({}, context, {payload: {ref: 'refs/heads/main', repository: {pushed_at: 1632700800}}}))).toBeNull();
+    expect(deadline.findPushTime({eventName: 'workflow_dispatch', ref: 'refs/tags/v1.0.0', payload: {}})).toBeNull();
+  });
+
+  test('finds commit and release times', async () => {
+    const missing = new Error('Not Found');
+    missing.status = 404;
+
+    const octokit = {repos: {
+      getCommit: jest.fn().mockResolvedValue({data: {commit: {committer: {date: '2021-09-24T12:00:00Z'}}}}),
+      getReleaseByTag: jest.fn().mockRejectedValue(missing)
+    }};
+
+    const times = await deadline.findTimes(octokit, 'student', 'project-student', 'v1.0.0', {eventName: 'workflow_dispatch', payload: {}});
+
+    expect(times).toEqual({commit: '2021-09-24T12:00:00Z', release: null, pushed: null, run: expect.any(String)});
+    expect(deadline.classify(times, settings).source).toBe('run');
+  });
+
+  test('uses release publish time', async () => {
+    const octokit = {repos: {
+      getCommit: jest.fn().mockResolvedValue({data: {commit: {committer: {date: '2021-09-24T12:00:00Z'}}}}),
+      getReleaseByTag: jest.fn().mockResolvedValue({data: {created_at: '2021-09-24T12:00:00Z', published_at: '2021-09-26T01:00:00Z'}})
+    }};
+
+    expect(await deadline.findTimes(octokit, 'student', 'project-student', 'v1.0.0', {payload: {}})).toEqual(expect.objectContaining({commit: '2021-09-24T12:00:00Z', release: '2021-09-26T01:00:00Z'}));
+    expect(octokit.repos.getReleaseByTag).toHaveBeenCalledWith({owner: 'student', repo: 'project-student', tag: 'v1.0.0'});
+  });
+
+  test('describes submissions', () => {
+    const submission = deadline.classify({commit: '2021-09-20T00:00:00Z', release: null, pushed: '2021-10-03T00:00:00Z', run: '2021-10-03T00:01:00Z'}, settings);
+    expect(deadline.describeSubmission(submission)).toBe(':no_entry_sign: Submitted past the cutoff at 2021-10-03T00:00:00.000Z (using the tag push time, deadline 2021-09-25T06:59:59.000Z, cutoff 2021-10-02T06:59:59.000Z).');
+  });
+});
@@ -0,0 +1,61 @@
+jest.mock('@actions/core');
+
+const core = require('@actions/core');
+const flaky = require('../flaky.js');
+
+describe('flaky', () => {
+  const failed = [
+    {classname: 'edu.usfca.cs272.Project3Test$ThreadTests', name: 'testSimple()', outcome: 'failed'},
+    {classname: 'edu.usfca.cs272.Project3Test$ThreadTests', name: 'testMany()', outcome: 'errored'},
+    {classname: 'edu.usfca.cs272.Project3Test$OutputTests', name: 'testEmpty()', outcome: 'failed'}
+  ];
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('finds failed tests', () => {
+    const tests = [...failed, {classname: 'edu.Other', name: 'testPass()', outcome: 'passed'}, {classname: 'edu.Other', name: 'testSkip()', outcome: 'skipped'}];
+    expect(flaky.failedTests(tests)).toEqual(failed);
+  });
+
+  test('creates test filter for failed methods', () => {
+    expect(flaky.testFilter(failed)).toBe('Project3Test$ThreadTests#testSimple+testMany,Project3Test$OutputTests#testEmpty');
+  });
+
+  test('classifies flaky and failing tests', () => {
+    const reruns = [
+      [{...failed[0], outcome: 'failed'}, {...failed[1], outcome: 'passed'}],
+      [{...failed[0], outcome: 'failed'}, {...failed[1], outcome: 'failed'}]
+    ];
+
+    const classified = flaky.classifyTests(failed, reruns);
+
+    expect(classified.map(test => test.classification)).toEqual(['failing', 'flaky', 'failing']);
+    expect(classified[1].reruns).toEqual(['passed', 'failed']);
+    expect(classified[2].reruns).toEqual(['missing', 'missing']);
+  });
+
+  test('passes only if every failed test is flaky under pass policy', () => {
+    const flakyTest = {classification: 'flaky'};
+    const failingTest = {classification: 'failing'};
+
+    expect(flaky.applyPolicy('pass', [flakyTest, flakyTest])).toBe(true);
+    expect(flaky.applyPolicy('pass', [flakyTest, failingTest])).toBe(false);
+    expect(flaky.applyPolicy('pass', [])).toBe(false);
+    expect(flaky.applyPolicy('fail', [flakyTest])).toBe(false);
+  });
+
+  test('summarizes classified tests', () => {
+    const summary = flaky.summarizeTests(flaky.classifyTests(failed.slice(0, 1), [[{...failed[0], outcome: 'passed'}], [failed[0]]]));
+    expect(summary).toContain('| `Project3Test.ThreadTests.testSimple` | :warning: Flaky | 1 of 2 |');
+  });
+
+  test('rejects unknown policies', () => {
+    core.getInput.mockReturnValue('sometimes');
+    expect(() => flaky.getPolicy()).toThrow('Unknown flaky-policy: sometimes. Valid policies are: fail, pass.');
+
+    core.getInput.mockReturnValue('');
+    expect(flaky.getPolicy()).toBe('fail');
+  });
+});
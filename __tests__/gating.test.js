@@ -0,0 +1,65 @@
+jest.mock('@actions/core');
+
+const gating = require('../gating.js');
+const projects = require('../projects.js');
+
+const mapping = projects.validateMapping(projects.defaultMapping);
+
+function release(tag, body) {
+  return {tag_name: tag, draft: false, body: body};
+}
+
+const passed = (tag) => release(tag, `:octocat: All Project 1 verification tests of ${tag} passed! See action run #1 (1).`);
+const failed = (tag) => release(tag, `:octocat: One or more Project 1 verification tests of ${tag} failed. See action run #1 (1).`);
+
+describe('parseResult', () => {
+  test('parses release results', () => {
+    expect(gating.parseResult(passed('v1.0.0').body)).toBe(true);
+    expect(gating.parseResult(failed('v1.0.0').body)).toBe(false);
+    expect(gating.parseResult('Project 1 verification tests of v1.0.0 timed out after 10 minutes.')).toBe(false);
+    expect(gating.parseResult('My first release!')).toBeUndefined();
+    expect(gating.parseResult(null)).toBeUndefined();
+  });
+
+  test('parses results section data', () => {
+    const body = 'Notes\n<!-- test-project:start -->\nOne or more Project 1 verification tests of v1.0.0 failed.\n<!-- test-project:data {"passed":true,"history":[]} -->\n<!-- test-project:end -->';
+    expect(gating.parseResult(body)).toBe(true);
+  });
+});
+
+describe('checkPrerequisites', () => {
+  function check(version, releases) {
+    const octokit = {repos: {listReleases: jest.fn()}, paginate: jest.fn().mockResolvedValue(releases)};
+    const entry = projects.resolveProject(mapping, version, '');
+    return gating.checkPrerequisites(octokit, 'owner', 'repo', mapping, entry, version);
+  }
+
+  test('allows first project without releases', async () => {
+    await expect(check('v1.0.0', [release('v1.0.0', '')])).resolves.toEqual([]);
+  });
+
+  test('allows project after passing prerequisites', async () => {
+    await expect(check('v2.0.0', [failed('v1.0.0'), passed('v1.0.1')])).resolves.toHaveLength(2);
+  });
+
+  test('rejects project without passing prerequisites', async () => {
+    await expect(check('v2.0.0', [failed('v1.0.0')])).rejects.toThrow('requires a passing release of project 1 first (v1.0.0 failed)');
+  });
+
+  test('rejects skipped projects', async () => {
+    await expect(check('v3.0.0', [passed('v1.0.0')])).rejects.toThrow('project 2 first (no releases found)');
+  });
+
+  test('rejects older versions', async () => {
+    await expect(check('v1.0.1', [passed('v1.0.2')])).rejects.toThrow('must have a higher version number than earlier release v1.0.2');
+  });
+
+  test('rejects reused versions', async () => {
+    await expect(check('v1.0.1', [passed('v1.00.1')])).rejects.toThrow('reuses the version of earlier release v1.00.1');
+  });
+
+  test('ignores draft releases', async () => {
+    const draft = Object.assign(passed('v1.0.0'), {draft: true});
+    await expect(check('v2.0.0', [draft])).rejects.toThrow('no releases found');
+  });
+});
@@ -0,0 +1,399 @@
+jest.mock('@actions/core');
+jest.mock('@actions/exec');
+jest.mock('@actions/github', () => ({
+  context: {
+    repo: {owner: 'student', repo: 'project-student'},
+    ref: 'refs/tags/v1.2.3',
+    runId: 10,
+    runNumber: 2
+  },
+  getOctokit: jest.fn()
+}));
+
+const core = require('@actions/core');
+const exec = require('@actions/exec');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const utils = require('../utils.js');
+const index = require('../index.js');
+
+describe('index', () => {
+  const original = process.cwd();
+  let saved = undefined;
+
+  // returns the exit code for a maven goal or test run
+  let codes = undefined;
+
+  // returns true if exec was called with these parameters
+  function executed(command, ...param) {
+    return exec.exec.mock.calls.some(call => call[0] === command && param.every(value => call[1].includes(value)));
+  }
+
+  beforeAll(() => {
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'index-')));
+  });
+
+  afterAll(() => {
+    process.chdir(original);
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    utils.warnings = 0;
+
+    const states = {
+      complete: true,
+      mode: 'release',
+      owner: 'student',
+      mainRepo: 'student/project-student',
+      testRepo: 'student/project-tests',
+      project: '1',
+      version: 'v1.2.3',
+      ref: 'v1.2.3',
+      tester: 'Project1Test*',
+      maven: ['-DfailIfNoTests=false'],
+      testKey: 'project-tests-abc123'
+    };
+
+    saved = new Map(Object.entries(states).map(([key, value]) => [key, JSON.stringify(value)]));
+    saved.set('keys', JSON.stringify(Object.keys(states)));
+
+    core.saveState.mockImplementation((name, value) => saved.set(name, `${value}`));
+    core.getState.mockImplementation(name => saved.has(name) ? saved.get(name) : '');
+    core.getInput.mockReturnValue('');
+
+    codes = {warnings: 0, verify: 0, debug: 1};
+
+    exec.exec.mockImplementation(async (command, param) => {
+      // check the command run by timeout instead
+      if (command === 'timeout') {
+        command = param[2];
+        param = param.slice(3);
+      }
+
+      if (command === 'mvn' && param.includes('test')) {
+        return param.includes('-DexcludedGroups=none()|!verify') ? codes.verify : codes.debug;
+      }
+
+      if (command === 'mvn' && param.includes('-Dmaven.compiler.showWarnings=true')) {
+        return codes.warnings;
+      }
+
+      return 0;
+    });
+  });
+
+  test('passes verification tests', async () => {
+    await index.run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.notice).toHaveBeenCalledWith('All Project 1 verification tests of v1.2.3 passed!');
+    expect(core.warning).not.toHaveBeenCalled();
+    expect(executed('mvn', '-Dtest=Project1Test*', '-DfailIfNoTests=false', 'test')).toBe(true);
+    expect(saved.get('passed')).toBe('true');
+    expect(core.setOutput).toHaveBeenCalledWith('passed', true);
+  });
+
+  test('warns about compiler warnings', async () => {
+    codes.warnings = 1;
+
+    await index.run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.warning).toHaveBeenCalledWith(expect.stringMatching(/^Unable to compile code without warnings/));
+  });
+
+  test('runs debug tests after failing verification tests', async () => {
+    codes.verify = 1;
+
+    await index.run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Unable to verify project. One or more Project 1 verification tests of v1.2.3 failed.');
+    expect(exec.exec.mock.calls.filter(call => call[1].includes('test'))).toHaveLength(2);
+    expect(saved.get('passed')).toBe('false');
+    expect(core.setOutput).toHaveBeenCalledWith('passed', false);
+  });
+
+  test('skips debug tests after verification tests time out', async () => {
+    codes.verify = 124;
+    core.getInput.mockImplementation(name => name === 'test-timeout' ? '10' : '');
+
+    await index.run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Unable to verify project. Project 1 verification tests of v1.2.3 timed out after 10 minutes.');
+    expect(exec.exec.mock.calls.filter(call => call[1].includes('test'))).toHaveLength(1);
+    expect(saved.get('timedOut')).toBe('"verify"');
+  });
+
+  test('runs verification tests in sandbox', async () => {
+    const inputs = {'memory-limit': '256', 'cpu-limit': '5', 'process-limit': '100'};
+    core.getInput.mockImplementation(name => name in inputs ? inputs[name] : '');
+    core.getBooleanInput.mockImplementation(name => name === 'sandbox');
+
+    exec.exec.mockImplementation(async (command, param, options) => {
+      if (command === 'bwrap' && param.includes('-DexcludedGroups=none()|!verify')) {
+        options.listeners.stderr(Buffer.from('java.lang.OutOfMemoryError: Java heap space\n'));
+        return 1;
+      }
+
+      return 0;
+    });
+
+    await index.run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Unable to verify project. Project 1 verification tests of v1.2.3 ran out of memory (limited to 256 MB).');
+    expect(executed('bwrap', 'true')).toBe(true);
+    expect(executed('bwrap', '--ro-bind', 'mvn')).toBe(true);
+    expect(exec.exec.mock.calls.filter(call => call[1].includes('test'))).toHaveLength(1);
+    expect(saved.get('limit')).toBe('"memory"');
+  });
+
+  test('measures coverage of verification tests', async () => {
+    core.getBooleanInput.mockImplementation(name => name === 'coverage');
+    core.getInput.mockImplementation(name => name === 'jacoco-version' ? '0.8.8' : '');
+
+    const mock = exec.exec.getMockImplementation();
+
+    exec.exec.mockImplementation(async (command, param) => {
+      if (command === 'mvn' && param.includes('org.jacoco:jacoco-maven-plugin:0.8.8:report')) {
+        fs.mkdirSync('project-main/target/site/jacoco', {recursive: true});
+        fs.writeFileSync('project-main/target/site/jacoco/jacoco.xml', '<report name="main"><counter type="LINE" missed="1" covered="3"/></report>');
+      }
+
+      return mock(command, param);
+    });
+
+    try {
+      await index.run();
+    }
+    finally {
+      fs.rmSync('project-main', {recursive: true, force: true});
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(executed('mvn', '-DexcludedGroups=none()|!verify', 'org.jacoco:jacoco-maven-plugin:0.8.8:prepare-agent', 'test')).toBe(true);
+
+    const results = JSON.parse(fs.readFileSync(saved.get('result'), 'utf8'));
+    expect(results.coverage.line).toEqual({missed: 1, covered: 3});
+  });
+
+  test('warns if unable to measure coverage', async () => {
+    core.getBooleanInput.mockImplementation(name => name === 'coverage');
+
+    await index.run();
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(saved.get('passed')).toBe('true');
+    expect(core.warning).toHaveBeenCalledWith(expect.stringMatching(/^There was 1 warning/));
+  });
+
+  describe('re-running failed tests', () => {
+    const reportDir = 'project-main/target/surefire-reports';
+
+    // writes a surefire report with the outcomes of two tests
+    function writeReport(simple, empty) {
+      const testcase = (name, passed) => passed ?
+        `<testcase name="${name}()" classname="edu.Project1Test$Output"/>` :
+        `<testcase name="${name}()" classname="edu.Project1Test$Output"><failure message="failed"/></testcase>`;
+
+      fs.mkdirSync(reportDir, {recursive: true});
+      fs.writeFileSync(`${reportDir}/TEST-edu.Project1Test.xml`, `<testsuite>${testcase('testSimple', simple)}${testcase('testEmpty', empty)}</testsuite>`);
+    }
+
+    // outcomes of testEmpty in each re-run
+    let rerunOutcomes = undefined;
+
+    beforeEach(() => {
+      codes.verify = 1;
+      rerunOutcomes = [];
+
+      const mock = exec.exec.getMockImplementation();
+
+      exec.exec.mockImplementation(async (command, param) => {
+        const filter = param.find(value => `${value}`.startsWith('-Dtest='));
+
+        if (filter === '-Dtest=Project1Test*' && param.includes('-DexcludedGroups=none()|!verify')) {
+          writeReport(true, false);
+        }
+        else if (filter !== undefined && filter.includes('#')) {
+          const passed = rerunOutcomes.shift();
+          writeReport(true, passed);
+          return passed ? 0 : 1;
+        }
+
+        return mock(command, param);
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync('project-main', {recursive: true, force: true});
+    });
+
+    function inputs(values) {
+      core.getInput.mockImplementation(name => name in values ? values[name] : '');
+    }
+
+    test('re-runs only failed tests', async () => {
+      inputs({'rerun-failed': '2'});
+      rerunOutcomes = [false, true];
+
+      await index.run();
+
+      expect(executed('mvn', '-Dtest=Project1Test$Output#testEmpty', '-DexcludedGroups=none()|!verify')).toBe(true);
+      expect(exec.exec.mock.calls.filter(call => call[1].includes('-Dtest=Project1Test$Output#testEmpty'))).toHaveLength(2);
+      expect(core.warning).toHaveBeenCalledWith(expect.stringMatching(/^Found 1 flaky tests/));
+      expect(core.setFailed).toHaveBeenCalledWith('Unable to verify project. One or more Project 1 verification tests of v1.2.3 failed.');
+
+      const results = JSON.parse(fs.readFileSync(saved.get('result'), 'utf8'));
+      expect(results.flaky).toEqual([expect.objectContaining({name: 'testEmpty()', classification: 'flaky', reruns: ['failed', 'passed']})]);
+    });
+
+    test('passes flaky tests under pass policy', async () => {
+      inputs({'rerun-failed': '1', 'flaky-policy': 'pass'});
+      rerunOutcomes = [true];
+
+      await index.run();
+
+      expect(core.setFailed).not.toHaveBeenCalled();
+      expect(core.notice).toHaveBeenCalledWith('All Project 1 verification tests of v1.2.3 passed after re-running 1 flaky tests.');
+      expect(saved.get('passed')).toBe('true');
+      expect(exec.exec.mock.calls.filter(call => call[1].includes('-Dtest=Project1Test*'))).toHaveLength(1);
+    });
+
+    test('fails consistently failing tests under pass policy', async () => {
+      inputs({'rerun-failed': '2', 'flaky-policy': 'pass'});
+      rerunOutcomes = [false, false];
+
+      await index.run();
+
+      expect(core.setFailed).toHaveBeenCalled();
+      expect(core.warning).not.toHaveBeenCalledWith(expect.stringMatching(/flaky/));
+
+      const results = JSON.parse(fs.readFileSync(saved.get('result'), 'utf8'));
+      expect(results.flaky[0].classification).toBe('failing');
+    });
+
+    test('skips re-runs by default', async () => {
+      await index.run();
+
+      expect(exec.exec.mock.calls.some(call => call[1].some(value => `${value}`.includes('#')))).toBe(false);
+    });
+  });
+
+  test('fails inspection before compiling', async () => {
+    const rules = {level: 'fail', 'banned-imports': [], 'banned-calls': [], 'required-classes': [{pattern: 'edu.Driver', level: 'fail', message: null}], 'required-packages': [], 'max-lines': null};
+
+    saved.set('inspection', JSON.stringify(rules));
+    saved.set('keys', JSON.stringify([...JSON.parse(saved.get('keys')), 'inspection']));
+
+    await index.run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Unable to verify project. Project 1 code of v1.2.3 failed 1 inspection rules and was not tested.');
+    expect(core.error).toHaveBeenCalledWith('Required class edu.Driver was not found in src/main/java/edu/Driver.java.', {title: 'Inspection failed: required-classes'});
+    expect(executed('mvn', 'compile')).toBe(false);
+    expect(saved.get('passed')).toBe('false');
+  });
+
+  test('fails benchmark below required speedup', async () => {
+    const settings = {main: 'Driver', args: ['-text', 'input/'], threads: [3], flag: '-threads', warmup: 0, runs: 1, 'min-speedup': 100};
+
+    saved.set('benchmark', JSON.stringify(settings));
+    saved.set('keys', JSON.stringify([...JSON.parse(saved.get('keys')), 'benchmark']));
+    core.getBooleanInput.mockImplementation(name => name === 'benchmark');
+
+    const mock = exec.exec.getMockImplementation();
+
+    exec.exec.mockImplementation(async (command, param, options) => {
+      if (command === 'mvn' && param.includes('dependency:build-classpath')) {
+        fs.mkdirSync('project-main/target', {recursive: true});
+        fs.writeFileSync('project-main/target/benchmark.classpath', '/m2/lib.jar');
+      }
+
+      return mock(command, param, options);
+    });
+
+    try {
+      await index.run();
+    }
+    finally {
+      fs.rmSync('project-main', {recursive: true, force: true});
+    }
+
+    expect(executed('java', '-cp', '../project-main/target/classes:/m2/lib.jar', 'Driver', '-text', 'input/')).toBe(true);
+    expect(executed('java', 'Driver', '-threads', '3')).toBe(true);
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/passed, but the multithreaded code was only .+x faster \(at least 100x required\)\.$/));
+    expect(saved.get('passed')).toBe('false');
+    expect(exec.exec.mock.calls.filter(call => call[1].includes('test'))).toHaveLength(1);
+  });
+
+  test('fails if benchmark cannot run', async () => {
+    const settings = {main: 'Driver', args: [], threads: [3], flag: '-threads', warmup: 0, runs: 1, 'min-speedup': 2};
+
+    saved.set('benchmark', JSON.stringify(settings));
+    saved.set('keys', JSON.stringify([...JSON.parse(saved.get('keys')), 'benchmark']));
+    core.getBooleanInput.mockImplementation(name => name === 'benchmark');
+
+    const mock = exec.exec.getMockImplementation();
+
+    exec.exec.mockImplementation(async (command, param, options) => {
+      return command === 'mvn' && param.includes('dependency:build-classpath') ? 1 : mock(command, param, options);
+    });
+
+    await index.run();
+
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/passed, but the benchmark could not run\. /));
+    expect(saved.get('passed')).toBe('false');
+    expect(executed('java', 'Driver')).toBe(false);
+
+    const results = JSON.parse(fs.readFileSync(saved.get('result'), 'utf8'));
+    expect(results.passed).toBe(false);
+    expect(results.message).toMatch(/the benchmark could not run/);
+  });
+
+  test('warns if results depend on jdk', async () => {
+    const home = fs.mkdtempSync(path.join(os.tmpdir(), 'jdk-'));
+    core.getInput.mockImplementation(name => name === 'jdks' ? `old=${home}` : '');
+
+    const mock = exec.exec.getMockImplementation();
+
+    exec.exec.mockImplementation(async (command, param, options) => {
+      if (command === 'mvn' && options.env !== undefined) {
+        return param.includes('test') ? 1 : 0;
+      }
+
+      return mock(command, param, options);
+    });
+
+    try {
+      await index.run();
+    }
+    finally {
+      fs.rmSync(home, {recursive: true});
+    }
+
+    expect(core.setFailed).not.toHaveBeenCalled();
+    expect(core.warning).toHaveBeenCalledWith(expect.stringMatching(/^The verification tests passed with the default JDK, but not with every other JDK/));
+
+    const results = JSON.parse(fs.readFileSync(saved.get('result'), 'utf8'));
+    expect(results.jdks).toEqual([expect.objectContaining({name: 'old', compiled: true, passed: false})]);
+  });
+
+  test('fails if setup did not complete', async () => {
+    saved.set('keys', JSON.stringify(['owner', 'mainRepo']));
+
+    await index.run();
+
+    expect(core.setFailed).toHaveBeenCalledWith(expect.stringMatching(/^Unable to verify project. Missing states: complete, mode, testRepo, project/));
+    expect(exec.exec).not.toHaveBeenCalled();
+  });
+
+  test('fails if unable to compile', async () => {
+    exec.exec.mockImplementation(async (command, param) => param.includes('clean') ? 1 : 0);
+
+    await index.run();
+
+    expect(core.setFailed).toHaveBeenCalledWith('Unable to verify project. Recompiling returned non-zero exit code (1).');
+    expect(saved.has('passed')).toBe(false);
+  });
+});
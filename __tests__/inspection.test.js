@@ -0,0 +1,117 @@
+jest.mock('@actions/core');
+
+const core = require('@actions/core');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const inspection = require('../inspection.js');
+
+const driver = `package edu.usfca.cs272;
+
+import java.util.List;
+import java.lang.reflect.Method;
+
+/** Calls System.exit(0) in a comment. */
+public class Driver {
+  public static void main(String[] args) {
+    System.out.println("System.exit(1)");
+    try {
+      run();
+    }
+    catch (Exception e) {
+      e.printStackTrace();
+      System . exit(1);
+    }
+  }
+}
+`;
+
+describe('inspection', () => {
+  const rules = inspection.validateRules({
+    'banned-imports': ['java.lang.reflect.*'],
+    'banned-calls': [{pattern: 'System.exit', level: 'fail', message: 'Return from main instead.'}, 'printStackTrace'],
+    'required-classes': ['edu.usfca.cs272.Driver', 'edu.usfca.cs272.Parser'],
+    'required-packages': ['edu.usfca.cs272', 'edu.usfca.cs272.utils'],
+    'max-lines': 10
+  }, 'test');
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('normalizes rules', () => {
+    expect(rules.level).toBe('warn');
+    expect(rules['banned-imports']).toEqual([{pattern: 'java.lang.reflect.*', level: 'warn', message: null}]);
+    expect(rules['banned-calls'][0].level).toBe('fail');
+    expect(rules['max-lines']).toBe(10);
+  });
+
+  test.each([
+    [[], /as an object/],
+    [{level: 'error'}, /invalid inspection level \(error\)/],
+    [{'banned-calls': 'System.exit'}, /banned-calls inspection rules as an array/],
+    [{'banned-calls': [{level: 'fail'}]}, /without a pattern/],
+    [{'max-lines': 'many'}, /invalid max-lines/]
+  ])('rejects %p', (rules, message) => {
+    expect(() => inspection.validateRules(rules, 'test')).toThrow(message);
+  });
+
+  test('ignores comments and strings', () => {
+    const text = 'a(); // b()\n/* c()\n */ "d()" \'e\'';
+    const stripped = inspection.stripComments(text);
+
+    expect(stripped.trim()).toBe('a();');
+    expect(stripped.split('\n').map(line => line.length)).toEqual(text.split('\n').map(line => line.length));
+  });
+
+  test('finds violations in file', () => {
+    const violations = inspection.inspectFile('edu/usfca/cs272/Driver.java', driver, rules);
+
+    expect(violations.map(violation => [violation.rule, violation.line, violation.level])).toEqual([
+      ['banned-imports', 4, 'warn'],
+      ['banned-calls', 15, 'fail'],
+      ['banned-calls', 14, 'warn'],
+      ['max-lines', 11, 'warn']
+    ]);
+
+    expect(violations[0]).toEqual({
+      file: 'src/main/java/edu/usfca/cs272/Driver.java',
+      line: 4,
+      rule: 'banned-imports',
+      level: 'warn',
+      message: 'Importing java.lang.reflect.Method is not allowed.'
+    });
+
+    expect(violations[1].message).toBe('Return from main instead.');
+  });
+
+  test('finds missing classes and packages', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'inspection-'));
+
+    try {
+      fs.mkdirSync(path.join(directory, 'edu/usfca/cs272'), {recursive: true});
+      fs.writeFileSync(path.join(directory, 'edu/usfca/cs272/Driver.java'), 'class Driver {}\n');
+
+      const violations = inspection.inspectSources(rules, directory);
+
+      expect(violations.map(violation => violation.message)).toEqual([
+        'Required class edu.usfca.cs272.Parser was not found in src/main/java/edu/usfca/cs272/Parser.java.',
+        'Required package edu.usfca.cs272.utils was not found in src/main/java/edu/usfca/cs272/utils/.'
+      ]);
+    }
+    finally {
+      fs.rmSync(directory, {recursive: true});
+    }
+  });
+
+  test('annotates violations by level', () => {
+    inspection.annotateViolations(inspection.inspectFile('edu/usfca/cs272/Driver.java', driver, rules));
+
+    expect(core.error).toHaveBeenCalledWith('Return from main instead.', {
+      title: 'Inspection failed: banned-calls',
+      file: 'src/main/java/edu/usfca/cs272/Driver.java',
+      startLine: 15
+    });
+    expect(core.warning).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('@actions/core');
+jest.mock('@actions/exec');
+
+const exec = require('@actions/exec');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const utils = require('../utils.js');
+const integrity = require('../integrity.js');
+
+describe('integrity', () => {
+  const original = process.cwd();
+
+  // output and exit code of each git subcommand
+  let git = undefined;
+
+  beforeAll(() => {
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'integrity-')));
+    fs.mkdirSync('project-tests');
+  });
+
+  afterAll(() => {
+    process.chdir(original);
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    utils.retryDelay = 0;
+
+    git = {
+      fsck: {code: 0, output: ''},
+      status: {code: 0, output: ''},
+      'rev-parse': {code: 0, output: 'abc123\n'}
+    };
+
+    exec.exec.mockImplementation(async (command, param, options) => {
+      const result = command === 'git' ? git[param[0]] : {code: 0, output: ''};
+
+      if ('stdout' in options.listeners) {
+        options.listeners.stdout(Buffer.from(result.output));
+      }
+
+      return result.code;
+    });
+  });
+
+  test('lists changed files', async () => {
+    git.status.output = ' M src/test/java/Test.java\n!! actual/output.txt\n';
+
+    expect(await integrity.changedFiles('project-tests')).toEqual(['M src/test/java/Test.java', '!! actual/output.txt']);
+    expect(exec.exec).toHaveBeenCalledWith('git', ['status', '--porcelain', '--untracked-files=all', '--ignored'], expect.objectContaining({cwd: 'project-tests/'}));
+  });
+
+  test('removes actual output files', async () => {
+    await integrity.removeOutput('project-tests');
+    expect(exec.exec).toHaveBeenCalledWith('rm', ['-rf', 'project-tests/actual'], expect.anything());
+  });
+
+  test('finds no problems in healthy repository', async () => {
+    const problems = await integrity.checkRepository('project-tests', 'abc123');
+
+    expect(problems).toEqual([]);
+    expect(integrity.describeHealth(problems)).toBe('healthy');
+  });
+
+  test('finds missing repository', async () => {
+    const problems = await integrity.checkRepository('missing', 'abc123');
+
+    expect(problems).toEqual(['unable to find missing directory']);
+    expect(exec.exec).not.toHaveBeenCalled();
+  });
+
+  test('finds changed files and wrong commit', async () => {
+    git.status.output = '?? actual/output.txt\n';
+    git['rev-parse'].output = 'def456\n';
+
+    const problems = await integrity.checkRepository('project-tests', 'abc123');
+
+    expect(problems).toEqual([
+      'found 1 changed files (like actual/output.txt)',
+      'expected commit abc123 but found def456'
+    ]);
+
+    expect(integrity.describeHealth(problems)).toBe('repaired');
+  });
+
+  test('stops checking corrupt repository', async () => {
+    git.fsck.code = 1;
+
+    expect(await integrity.checkRepository('project-tests', 'abc123')).toEqual(['git fsck failed with exit code 1']);
+    expect(exec.exec).toHaveBeenCalledTimes(1);
+  });
+});
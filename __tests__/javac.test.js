@@ -0,0 +1,45 @@
+jest.mock('@actions/core');
+
+const core = require('@actions/core');
+const javac = require('../javac.js');
+
+const output = `
+[INFO] Compiling 3 source files to /home/runner/work/project-student/project-student/project-main/target/classes
+[WARNING] /home/runner/work/project-student/project-student/project-main/src/main/java/edu/usfca/cs272/Driver.java:[12,25] [rawtypes] found raw type: java.util.ArrayList
+[WARNING] /home/runner/work/project-student/project-student/project-main/src/main/java/edu/usfca/cs272/Driver.java:[12,25] [rawtypes] found raw type: java.util.ArrayList
+[WARNING] /home/runner/work/project-student/project-student/project-main/src/main/java/edu/usfca/cs272/Builder.java:[8,1] no comment
+[WARNING] /home/runner/work/project-student/project-student/project-main/src/main/java/edu/usfca/cs272/Builder.java:[20,10] [unchecked] unchecked conversion
+[WARNING] COMPILATION WARNING :
+`;
+
+describe('parseWarnings', () => {
+  test('parses unique warnings', () => {
+    const warnings = javac.parseWarnings(output);
+
+    expect(warnings).toHaveLength(3);
+    expect(warnings[0]).toEqual({
+      file: 'src/main/java/edu/usfca/cs272/Driver.java',
+      line: 12,
+      column: 25,
+      category: 'rawtypes',
+      message: 'found raw type: java.util.ArrayList'
+    });
+    expect(warnings[1].category).toBe('other');
+  });
+
+  test('counts warnings by category', () => {
+    const counts = javac.countCategories(javac.parseWarnings(output));
+    expect(counts).toEqual({rawtypes: 1, other: 1, unchecked: 1});
+    expect(javac.summarizeCategories(counts)).toContain('| **Total** | **3** |');
+  });
+
+  test('annotates warnings on source files', () => {
+    javac.annotateWarnings(javac.parseWarnings(output));
+
+    expect(core.warning).toHaveBeenCalledTimes(3);
+    expect(core.warning).toHaveBeenCalledWith('no comment', expect.objectContaining({
+      file: 'src/main/java/edu/usfca/cs272/Builder.java',
+      startLine: 8
+    }));
+  });
+});
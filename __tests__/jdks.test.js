@@ -0,0 +1,125 @@
+jest.mock('@actions/core');
+jest.mock('@actions/exec');
+
+const exec = require('@actions/exec');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jdks = require('../jdks.js');
+
+describe('jdks', () => {
+  const original = process.cwd();
+  let directory = undefined;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'jdks-'));
+    process.chdir(directory);
+
+    fs.mkdirSync(path.join(directory, 'jdk-17'));
+    fs.writeFileSync(path.join(directory, 'jdk-17', 'release'), 'IMPLEMENTOR="Eclipse Adoptium"\nJAVA_VERSION="17.0.2"\n');
+    fs.mkdirSync(path.join(directory, 'jdk-other'));
+  });
+
+  afterAll(() => {
+    process.chdir(original);
+    fs.rmSync(directory, {recursive: true});
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('parses named and unnamed jdks', () => {
+    const home17 = path.join(directory, 'jdk-17');
+    const other = path.join(directory, 'jdk-other');
+
+    expect(jdks.parseJdks(`${home17}\nlatest = ${other}, `)).toEqual([
+      {name: '17.0.2', home: home17, version: '17.0.2'},
+      {name: 'latest', home: other, version: null}
+    ]);
+
+    expect(jdks.parseJdks('')).toEqual([]);
+  });
+
+  test('rejects missing and duplicate jdks', () => {
+    expect(() => jdks.parseJdks(path.join(directory, 'missing'))).toThrow(/^Unable to find JDK home directory/);
+    expect(() => jdks.parseJdks(`a=${directory}/jdk-17,a=${directory}/jdk-other`)).toThrow('JDK a is listed more than once.');
+  });
+
+  test('uses jdk in environment', () => {
+    const env = jdks.environment({name: '17', home: '/opt/jdk-17'});
+
+    expect(env.JAVA_HOME).toBe('/opt/jdk-17');
+    expect(env.PATH.startsWith(`/opt/jdk-17/bin${path.delimiter}`)).toBe(true);
+    expect(jdks.copyDir({name: 'temurin 17'})).toBe('project-main-jdk-temurin_17');
+  });
+
+  test('verifies with jdk in separate directory', async () => {
+    exec.exec.mockImplementation(async (command, param) => param.includes('test') ? 1 : 0);
+
+    const outcome = await jdks.verify({name: '17', home: '/opt/jdk-17', version: '17.0.2'}, {
+      tester: 'Project1Test*',
+      maven: [],
+      compileTimeout: 0,
+      testTimeout: 0
+    });
+
+    expect(exec.exec).toHaveBeenCalledWith('cp', ['-R', 'project-main', 'project-main-jdk-17'], expect.anything());
+    expect(exec.exec).toHaveBeenCalledWith('mvn', expect.arrayContaining(['-Dtest=Project1Test*', 'test']), expect.objectContaining({
+      cwd: 'project-main-jdk-17/',
+      env: expect.objectContaining({JAVA_HOME: '/opt/jdk-17'})
+    }));
+
+    expect(outcome).toEqual(expect.objectContaining({name: '17', compiled: true, passed: false, timedOut: false}));
+  });
+
+  test('verifies with jdk inside sandbox', async () => {
+    exec.exec.mockImplementation(async (command, param, options) => {
+      if (command === 'bwrap') {
+        options.listeners.stdout(Buffer.from('[ERROR] java.lang.OutOfMemoryError: Java heap space\n'));
+        return 1;
+      }
+
+      return 0;
+    });
+
+    const outcome = await jdks.verify({name: '17', home: '/opt/jdk-17', version: '17.0.2'}, {
+      tester: 'Project1Test*',
+      maven: [],
+      compileTimeout: 0,
+      testTimeout: 0,
+      limits: {memory: 512, cpu: 600, processes: 0}
+    });
+
+    expect(exec.exec).toHaveBeenCalledWith('bwrap', expect.arrayContaining(['mvn', '-Dtest=Project1Test*']), expect.objectContaining({
+      cwd: 'project-main-jdk-17/',
+      env: expect.objectContaining({JAVA_HOME: '/opt/jdk-17', JAVA_TOOL_OPTIONS: expect.stringMatching(/-Xmx512m$/)})
+    }));
+
+    expect(outcome).toEqual(expect.objectContaining({passed: false, limit: 'memory'}));
+    expect(jdks.summarizeJdks([outcome], true)).toContain(':no_entry: Reached memory limit');
+  });
+
+  test('stops after failing to compile', async () => {
+    exec.exec.mockImplementation(async (command, param) => param.includes('test-compile') ? 1 : 0);
+
+    const outcome = await jdks.verify({name: '8', home: '/opt/jdk-8', version: null}, {tester: 'A*', maven: [], compileTimeout: 0, testTimeout: 0});
+
+    expect(outcome.compiled).toBe(false);
+    expect(exec.exec.mock.calls.some(call => call[1].includes('test'))).toBe(false);
+  });
+
+  test('summarizes jdk outcomes', () => {
+    const outcomes = [
+      {name: '17', version: '17.0.2', compiled: true, passed: true, timedOut: false, counts: {passed: 3, failed: 0, skipped: 0, errored: 0}},
+      {name: '8', version: null, compiled: false, passed: false, timedOut: false, counts: null}
+    ];
+
+    const summary = jdks.summarizeJdks(outcomes, true);
+
+    expect(summary).toContain('| `17` | 17.0.2 | :heavy_check_mark: | :heavy_check_mark: Passed | 3 | 0 | 0 | 0 |');
+    expect(summary).toContain('| `8` | - | :x: | :x: Failed | - | - | - | - |');
+    expect(jdks.dependsOnJdk(outcomes, true)).toBe(true);
+    expect(jdks.dependsOnJdk(outcomes.slice(0, 1), true)).toBe(false);
+  });
+});
@@ -0,0 +1,59 @@
+jest.mock('@actions/core');
+
+const core = require('@actions/core');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const maven = require('../maven.js');
+
+describe('maven', () => {
+  let directory = undefined;
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'maven-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, {recursive: true});
+  });
+
+  test('changes cache key with pom files', () => {
+    const main = path.join(directory, 'main.xml');
+    const tests = path.join(directory, 'tests.xml');
+
+    fs.writeFileSync(main, '<project>1</project>');
+    const first = maven.cacheKey([main, tests]);
+
+    expect(first).toMatch(/^maven-[0-9a-f]{64}$/);
+    expect(maven.cacheKey([main, tests])).toBe(first);
+
+    fs.writeFileSync(tests, '<project>2</project>');
+    expect(maven.cacheKey([main, tests])).not.toBe(first);
+  });
+
+  test('measures directory size', () => {
+    fs.mkdirSync(path.join(directory, 'org/junit'), {recursive: true});
+    fs.writeFileSync(path.join(directory, 'org/junit/junit.jar'), 'a'.repeat(100));
+    fs.writeFileSync(path.join(directory, 'top.pom'), 'a'.repeat(20));
+
+    expect(maven.directorySize(directory)).toBe(120);
+    expect(maven.directorySize(path.join(directory, 'missing'))).toBe(0);
+  });
+
+  test.each([
+    ['maven-abc', 'maven-abc', 'hit'],
+    ['maven-abc', 'maven-old', 'partial'],
+    ['maven-abc', undefined, 'miss']
+  ])('describes restoring %p from %p as %p', (key, restored, expected) => {
+    expect(maven.describeRestore(key, restored)).toBe(expected);
+  });
+
+  test('converts size limit to bytes', () => {
+    core.getInput.mockReturnValue('1.5');
+    expect(maven.getLimit()).toBe(1572864);
+
+    core.getInput.mockReturnValue('0');
+    expect(maven.getLimit()).toBe(0);
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('@actions/core');
+
+const core = require('@actions/core');
+const projects = require('../projects.js');
+
+describe('resolveProject', () => {
+  const mapping = projects.validateMapping(projects.defaultMapping);
+
+  test.each([
+    ['v1.0.0', '1', 'Project1Test*'],
+    ['v2.3.12', '2', 'Project2Test*'],
+    ['v3.0.4', '3a', 'Project3aTest*'],
+    ['v3.1.0', '3b', 'Project3bTest*'],
+    ['v3.2.5', '3b', 'Project3bTest*'],
+    ['v4.0.1', '4', 'Project4Test*']
+  ])('maps %p to project %p', (version, project, tester) => {
+    const entry = projects.resolveProject(mapping, version, '');
+    expect(entry.project).toBe(project);
+    expect(entry.tester).toBe(tester);
+    expect(entry.maven).toEqual([]);
+  });
+
+  test('uses project input if version does not match', () => {
+    expect(projects.resolveProject(mapping, 'main', '3b').project).toBe('3b');
+  });
+
+  test.each([
+    ['V1.0.0', ''],
+    ['v5.0.0', ''],
+    ['main', '5']
+  ])('rejects %p with input %p', (version, input) => {
+    expect(() => projects.resolveProject(mapping, version, input)).toThrow(/Valid patterns are: .+\(project 3a\)/);
+  });
+});
+
+describe('parseMapping', () => {
+  test('parses yaml mappings', () => {
+    const mapping = projects.parseMapping(`
+projects:
+  - pattern: '^release-(\\d+)$'
+    project: 5
+    tester: 'Project5Test*'
+    maven: ['-DfailIfNoTests=false']
+`, 'test');
+
+    expect(mapping).toEqual([{
+      pattern: '^release-(\\d+)$',
+      project: '5',
+      tester: 'Project5Test*',
+      maven: ['-DfailIfNoTests=false']
+    }]);
+  });
+
+  test('parses json mappings', () => {
+    const mapping = projects.parseMapping('[{"pattern": "^v1", "project": "1", "tester": "A*"}]', 'test');
+    expect(mapping[0].project).toBe('1');
+  });
+
+  test.each([
+    ['[]', /non-empty list/],
+    ['[{"pattern": "^v1", "project": "1"}]', /missing the tester property/],
+    ['[{"pattern": "(", "project": "1", "tester": "A*"}]', /invalid pattern/],
+    ['[{"pattern": "^v1", "project": "1", "tester": "A*", "maven": "-X"}]', /as an array/],
+    ['[{"pattern": "^v1", "project": "1", "tester": "A*", "tests-until": "soon"}]', /invalid tests-until date/],
+    ['[{"pattern": "^v1", "project": "1", "tester": "A*", "inspection": {"level": "error"}}]', /entry 1 has an invalid inspection level/],
+    ['[{"pattern": "^v1", "project": "1", "tester": "A*", "deadline": "2021-09-24", "cutoff": "2021-09-01"}]', /cutoff date before its deadline/],
+    ['projects: [', /Unable to parse/]
+  ])('rejects %p', (text, message) => {
+    expect(() => projects.parseMapping(text, 'test')).toThrow(message);
+  });
+});
+
+describe('loadMapping', () => {
+  const octokit = {repos: {getContent: jest.fn()}};
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('uses default mapping without inputs', async () => {
+    core.getInput.mockReturnValue('');
+
+    const mapping = await projects.loadMapping(octokit, 'owner', 'project-tests');
+    expect(mapping.map(entry => entry.project)).toEqual(['1', '2', '3a', '3b', '4']);
+  });
+
+  test('fetches mapping file from test repository', async () => {
+    core.getInput.mockImplementation(name => name === 'mapping-file' ? 'projects.yml' : '');
+    octokit.repos.getContent.mockResolvedValue({data: {
+      encoding: 'base64',
+      content: Buffer.from('- {pattern: "^v9", project: "9", tester: "T*"}').toString('base64')
+    }});
+
+    const mapping = await projects.loadMapping(octokit, 'owner', 'project-tests');
+
+    expect(mapping[0].project).toBe('9');
+    expect(octokit.repos.getContent).toHaveBeenCalledWith({owner: 'owner', repo: 'project-tests', path: 'projects.yml'});
+  });
+});
@@ -0,0 +1,96 @@
+jest.mock('@actions/core');
+jest.mock('@actions/github', () => ({
+  context: {
+    repo: {owner: 'student', repo: 'project-student'},
+    runId: 10,
+    runNumber: 2
+  }
+}));
+
+const github = require('@actions/github');
+const release = require('../release.js');
+const result = require('../result.js');
+
+describe('release', () => {
+  const passed = {passed: true, message: 'All Project 1 verification tests of v1.2.3 passed!'};
+  const failed = {passed: false, message: 'One or more Project 1 verification tests of v1.2.3 failed.'};
+  let results = undefined;
+
+  beforeEach(() => {
+    github.context.runNumber = 2;
+
+    results = result.create();
+    results.repositories = {
+      main: {name: 'student/project-student', sha: 'abcdef0123456789'},
+      tests: {name: 'student/project-tests', sha: '0123456789abcdef'}
+    };
+    results.warnings = {main: 3, categories: {rawtypes: 2, other: 1}};
+    results.artifacts = ['Test Reports', 'Verification Result'];
+    results.tests.verify = {tests: [
+      {classname: 'edu.Project1Test$Output', name: 'testSimple()', outcome: 'passed'},
+      {classname: 'edu.Project1Test$Output', name: 'testEmpty()', outcome: 'failed'}
+    ]};
+  });
+
+  test('keeps student text', () => {
+    const body = release.updateBody('My notes.', passed, results);
+
+    expect(body.startsWith(`My notes.\n\n${release.start}`)).toBe(true);
+    expect(body.endsWith(release.end)).toBe(true);
+  });
+
+  test('replaces earlier results section', () => {
+    const first = release.updateBody('Before.\n\nAlso before.', failed, results);
+
+    github.context.runNumber = 3;
+    const second = release.updateBody(`${first}\n\nAfter.`, passed, results);
+
+    expect(second.split(release.start)).toHaveLength(2);
+    expect(second).toContain('Before.\n\nAlso before.\n\n');
+    expect(second.endsWith(`${release.end}\n\nAfter.`)).toBe(true);
+    expect(second).not.toContain(failed.message);
+  });
+
+  test('removes legacy descriptions', () => {
+    const body = release.updateBody(':octocat: All Project 1 verification tests of v1.2.3 passed! See action run #1 (9).', passed, results);
+    expect(body.startsWith(release.start)).toBe(true);
+  });
+
+  test('includes results details', () => {
+    const body = release.updateBody('', failed, results);
+
+    expect(body).toContain(`### :x: ${failed.message}`);
+    expect(body).toContain('| :x: `Project1Test.Output` | 1 | 1 | 0 | 0 |');
+    expect(body).toContain('**Compiler warnings:** 3 (`other`: 1, `rawtypes`: 2)');
+    expect(body).toContain('**Tested commits:** `student/project-student` `abcdef0`, `student/project-tests` `0123456`');
+    expect(body).toContain('[Test Reports](https://github.com/student/project-student/actions/runs/10)');
+  });
+
+  test('includes late submission', () => {
+    const late = Object.assign({submission: {classification: 'late', days: 2, submitted: '2021-09-26T12:00:00.000Z', deadline: '2021-09-25T06:59:59.000Z', cutoff: null}}, passed);
+    const body = release.updateBody('', late, results);
+
+    expect(body).toContain(':alarm_clock: Submitted 2 days late at 2021-09-26T12:00:00.000Z (deadline 2021-09-25T06:59:59.000Z).');
+  });
+
+  test('keeps limited history of earlier runs', () => {
+    let body = 'Notes';
+
+    for (let run = 1; run <= release.historyLimit + 2; run++) {
+      github.context.runNumber = run;
+      body = release.updateBody(body, run % 2 === 0 ? passed : failed, results);
+    }
+
+    const data = release.parseData(body);
+
+    expect(data.passed).toBe(false);
+    expect(data.history.map(entry => entry.run)).toEqual([7, 6, 5, 4, 3]);
+    expect(body).toContain('| #6 |');
+    expect(body).not.toContain('| #2 |');
+  });
+
+  test('parses missing data', () => {
+    expect(release.parseData('Notes')).toBeUndefined();
+    expect(release.parseData(null)).toBeUndefined();
+  });
+});
@@ -0,0 +1,65 @@
+jest.mock('@actions/core');
+jest.mock('@actions/github', () => ({
+  context: {runId: 10, runNumber: 2, ref: 'refs/tags/v1.0.0'}
+}));
+
+const core = require('@actions/core');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const result = require('../result.js');
+
+describe('result', () => {
+  const original = process.cwd();
+
+  beforeAll(() => {
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'result-')));
+  });
+
+  afterAll(() => {
+    process.chdir(original);
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('creates versioned document', () => {
+    const created = result.create();
+
+    expect(created.schema).toBe(result.schema);
+    expect(created.run).toEqual({id: 10, number: 2, ref: 'refs/tags/v1.0.0'});
+  });
+
+  test('restores saved document', () => {
+    const saved = result.create();
+    saved.project = '2';
+    result.save(saved);
+
+    const file = core.saveState.mock.calls[0][1];
+    expect(file).toBe(path.resolve(result.file));
+
+    core.getState.mockReturnValue(file);
+    expect(result.load().project).toBe('2');
+  });
+
+  test('ignores other schema versions', () => {
+    fs.writeFileSync(result.file, JSON.stringify({schema: -1, project: '2'}));
+    core.getState.mockReturnValue(path.resolve(result.file));
+
+    expect(result.load().project).toBeNull();
+  });
+
+  test('creates document if saved file is missing', () => {
+    core.getState.mockReturnValue(path.resolve('missing.json'));
+    expect(result.load().schema).toBe(result.schema);
+  });
+
+  test('records artifacts once', () => {
+    const created = result.create();
+    result.addArtifact(created, 'Test Reports');
+    result.addArtifact(created, 'Test Reports');
+
+    expect(created.artifacts).toEqual(['Test Reports']);
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('@actions/core');
+jest.mock('@actions/exec');
+
+const core = require('@actions/core');
+const exec = require('@actions/exec');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const utils = require('../utils.js');
+const maven = require('../maven.js');
+const sandbox = require('../sandbox.js');
+
+describe('sandbox', () => {
+  const original = process.cwd();
+  const repository = maven.repositoryDir;
+  const limits = {memory: 512, cpu: 600, processes: 256};
+
+  beforeAll(() => {
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'sandbox-')));
+    maven.repositoryDir = path.resolve('m2');
+  });
+
+  afterAll(() => {
+    process.chdir(original);
+    maven.repositoryDir = repository;
+  });
+
+  beforeEach(() => {
+    jest.resetAllMocks();
+    utils.retryDelay = 0;
+  });
+
+  test('reads limits from inputs', () => {
+    const inputs = {'memory-limit': '1024', 'cpu-limit': '5', 'process-limit': '0'};
+    core.getInput.mockImplementation(name => name in inputs ? inputs[name] : '');
+
+    core.getBooleanInput.mockReturnValue(false);
+    expect(sandbox.getLimits()).toBeUndefined();
+
+    core.getBooleanInput.mockReturnValue(true);
+    expect(sandbox.getLimits()).toEqual({memory: 1024, cpu: 300, processes: 0});
+  });
+
+  test('wraps commands in read-only sandbox with ulimit', () => {
+    expect(sandbox.wrap('mvn', ['-ntp', 'test'], limits, ['/work/project-main'])).toEqual({
+      command: 'bwrap',
+      param: [
+        '--ro-bind', '/', '/', '--dev', '/dev', '--proc', '/proc', '--tmpfs', '/tmp',
+        '--bind', '/work/project-main', '/work/project-main',
+        '--unshare-pid', '--unshare-ipc', '--new-session', '--die-with-parent', '--',
+        'bash', '-c', 'ulimit -v 1572864 && ulimit -t 600 && ulimit -u 256 && exec "$@"', 'sandbox', 'mvn', '-ntp', 'test'
+      ]
+    });
+
+    expect(sandbox.wrap('mvn', ['test'], {memory: 0, cpu: 0, processes: 0}).param.slice(-3)).toEqual(['--', 'mvn', 'test']);
+  });
+
+  test('finds writable directories', () => {
+    expect(sandbox.writableDirs('project-main/')).toEqual([path.resolve('project-main'), path.resolve('project-tests/actual'), maven.repositoryDir]);
+    expect(sandbox.writableDirs('project-tests/')).toEqual([path.resolve('project-tests/actual'), maven.repositoryDir]);
+    expect(sandbox.writableDirs('project-tests/src')).toEqual([path.resolve('project-tests/actual'), maven.repositoryDir]);
+  });
+
+  test('hides secrets and command files and limits memory', () => {
+    const env = sandbox.environment(limits, {
+      PATH: '/usr/bin',
+      INPUT_TOKEN: 'abc',
+      GITHUB_TOKEN: 'abc',
+      GITHUB_ENV: '/runner/_temp/env',
+      GITHUB_PATH: '/runner/_temp/path',
+      GITHUB_STATE: '/runner/_temp/state',
+      GITHUB_OUTPUT: '/runner/_temp/output',
+      GITHUB_STEP_SUMMARY: '/runner/_temp/summary',
+      GITHUB_WORKSPACE: '/work',
+      ACTIONS_RUNTIME_URL: 'https://example.com',
+      JAVA_TOOL_OPTIONS: '-Dfile.encoding=UTF-8'
+    });
+
+    expect(env).toEqual({
+      INPUT_TOKEN: undefined,
+      GITHUB_TOKEN: undefined,
+      GITHUB_ENV: undefined,
+      GITHUB_PATH: undefined,
+      GITHUB_STATE: undefined,
+      GITHUB_OUTPUT: undefined,
+      GITHUB_STEP_SUMMARY: undefined,
+      ACTIONS_RUNTIME_URL: undefined,
+      JAVA_TOOL_OPTIONS: '-Dfile.encoding=UTF-8 -XX:CompressedClassSpaceSize=64m -XX:ReservedCodeCacheSize=64m -Xmx512m',
+      MALLOC_ARENA_MAX: '2'
+    });
+  });
+
+  test('finds limit reached', () => {
+    expect(sandbox.findReason(1, 'Exception in thread "main" java.lang.OutOfMemoryError: Java heap space')).toBe('memory');
+    expect(sandbox.findReason(1, 'Error occurred during initialization of VM\nCould not reserve enough space for 4194304KB object heap')).toBe('memory');
+    expect(sandbox.findReason(1, 'java.lang.OutOfMemoryError: unable to create native thread: possibly out of memory')).toBe('processes');
+    expect(sandbox.findReason(sandbox.cpuCode, '')).toBe('cpu');
+    expect(sandbox.findReason(1, `java.nio.file.AccessDeniedException: ${utils.testDir}/output/a.txt`)).toBe('read-only');
+    expect(sandbox.findReason(1, 'Tests run: 3, Failures: 1')).toBeUndefined();
+  });
+
+  test('describes limit reached', () => {
+    expect(sandbox.describeReason('memory', limits)).toBe('ran out of memory (limited to 512 MB)');
+    expect(sandbox.describeReason('cpu', limits)).toBe('used too much cpu time (limited to 10 minutes)');
+  });
+
+  test('runs commands in sandbox', async () => {
+    exec.exec.mockImplementation(async (command, param, options) => {
+      options.listeners.stdout(Buffer.from('[ERROR] java.lang.OutOfMemoryError: Java heap space\n'));
+      return 1;
+    });
+
+    const ran = await sandbox.run('mvn', {param: ['test'], title: 'Running tests'}, limits);
+
+    expect(ran).toEqual({code: 1, reason: 'memory'});
+    expect(exec.exec.mock.calls[0][0]).toBe('bwrap');
+    expect(exec.exec.mock.calls[0][1]).toEqual(expect.arrayContaining(['--bind', path.resolve('project-tests/actual')]));
+    expect(exec.exec.mock.calls[0][2].env.JAVA_TOOL_OPTIONS).toMatch(/-Xmx512m$/);
+    expect(fs.existsSync('project-tests/actual')).toBe(true);
+  });
+
+  test('checks bubblewrap is available', async () => {
+    exec.exec.mockResolvedValue(0);
+    await expect(sandbox.check()).resolves.toBeUndefined();
+
+    exec.exec.mockResolvedValue(1);
+    await expect(sandbox.check()).rejects.toThrow(/^Unable to start the bubblewrap sandbox \(1\)/);
+
+    exec.exec.mockRejectedValue(new Error('Unable to locate executable file: bwrap'));
+    await expect(sandbox.check()).rejects.toThrow(/^The sandbox requires bubblewrap/);
+  });
+
+  test('runs commands without sandbox', async () => {
+    exec.exec.mockResolvedValue(1);
+
+    const ran = await sandbox.run('mvn', {param: ['test']}, undefined);
+
+    expect(ran).toEqual({code: 1, reason: undefined});
+    expect(exec.exec).toHaveBeenCalledWith('mvn', ['test'], expect.not.objectContaining({env: expect.anything()}));
+  });
+});
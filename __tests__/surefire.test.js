@@ -0,0 +1,93 @@
+jest.mock('@actions/core');
+
+const core = require('@actions/core');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const surefire = require('../surefire.js');
+
+const report = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuite name="edu.usfca.cs272.Project1Test$OutputTests" tests="4" failures="1" errors="1" skipped="1">
+  <testcase name="testSimple()" classname="edu.usfca.cs272.Project1Test$OutputTests" time="0.25"/>
+  <testcase name="testEmpty()" classname="edu.usfca.cs272.Project1Test$OutputTests" time="0.5">
+    <failure message="expected: &lt;1&gt; but was: &lt;2&gt;" type="org.opentest4j.AssertionFailedError">stack trace</failure>
+  </testcase>
+  <testcase name="testMissing" classname="edu.usfca.cs272.Project1Test$OutputTests" time="0">
+    <error type="java.lang.NullPointerException">stack trace</error>
+  </testcase>
+  <testcase name="testLater" classname="edu.usfca.cs272.Project1Test$OutputTests" time="0">
+    <skipped/>
+  </testcase>
+</testsuite>
+`;
+
+const source = `package edu.usfca.cs272;
+
+public class Project1Test {
+  public class OutputTests {
+    @Test
+    public void testEmpty() {
+    }
+  }
+}
+`;
+
+describe('surefire', () => {
+  const original = process.cwd();
+
+  beforeAll(() => {
+    process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), 'surefire-')));
+
+    fs.mkdirSync(surefire.reportDir, {recursive: true});
+    fs.writeFileSync(path.join(surefire.reportDir, 'TEST-edu.usfca.cs272.Project1Test$OutputTests.xml'), report);
+    fs.writeFileSync(path.join(surefire.reportDir, 'edu.usfca.cs272.Project1Test$OutputTests.txt'), 'ignored');
+
+    const file = surefire.sourceFile('edu.usfca.cs272.Project1Test');
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+    fs.writeFileSync(file, source);
+  });
+
+  afterAll(() => {
+    process.chdir(original);
+  });
+
+  test('parses test outcomes', async () => {
+    const tests = await surefire.parseReports();
+
+    expect(tests.map(test => test.outcome)).toEqual(['passed', 'failed', 'errored', 'skipped']);
+    expect(tests[1].message).toBe('expected: <1> but was: <2>');
+    expect(surefire.countTests(tests)).toEqual({passed: 1, failed: 1, skipped: 1, errored: 1});
+  });
+
+  test('returns no tests without reports', async () => {
+    await expect(surefire.parseReports('missing')).resolves.toEqual([]);
+  });
+
+  test('summarizes tests by nested class', async () => {
+    const summary = surefire.summarizeTests(await surefire.parseReports());
+
+    expect(summary).toContain('| :x: `Project1Test.OutputTests` | 1 | 1 | 1 | 1 |');
+    expect(summary).toContain('| **Total** | **1** | **1** | **1** | **1** |');
+  });
+
+  test('annotates failed tests', async () => {
+    surefire.annotateTests(await surefire.parseReports());
+
+    expect(core.error).toHaveBeenCalledTimes(2);
+    expect(core.error).toHaveBeenCalledWith('expected: <1> but was: <2>', {
+      title: 'Project1Test.OutputTests.testEmpty failed',
+      file: 'project-tests/src/test/java/edu/usfca/cs272/Project1Test.java',
+      startLine: 6
+    });
+    expect(core.error).toHaveBeenCalledWith('java.lang.NullPointerException', {
+      title: 'Project1Test.OutputTests.testMissing encountered an error'
+    });
+  });
+
+  test('finds lines of methods with regex characters', () => {
+    const file = surefire.sourceFile('edu.usfca.cs272.Project1Test');
+
+    expect(surefire.findLine(file, 'testEmpty')).toBe(6);
+    expect(surefire.findLine(file, 'test(1 + 2)?{x}')).toBeUndefined();
+  });
+});
@@ -0,0 +1,208 @@
+jest.mock('@actions/core');
+jest.mock('@actions/exec');
+
+const core = require('@actions/core');
+const exec = require('@actions/exec');
+const utils = require('../utils.js');
+
+describe('checkExec', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+  });
+
+  test('returns the exit code', async () => {
+    exec.exec.mockResolvedValue(3);
+
+    const result = await utils.checkExec('ls', {param: ['-m'], chdir: 'dir/'});
+
+    expect(result).toBe(3);
+    expect(exec.exec).toHaveBeenCalledWith('ls', ['-m'], expect.objectContaining({cwd: 'dir/', ignoreReturnCode: true}));
+  });
+
+  test('throws error for non-zero exit code', async () => {
+    exec.exec.mockResolvedValue(1);
+    await expect(utils.checkExec('ls', {error: 'Unable to list'})).rejects.toThrow('Unable to list (1).');
+  });
+
+  test('does not throw error for zero exit code', async () => {
+    exec.exec.mockResolvedValue(0);
+    await expect(utils.checkExec('ls', {error: 'Unable to list'})).resolves.toBe(0);
+  });
+
+  test('wraps command with timeout', async () => {
+    exec.exec.mockResolvedValue(0);
+
+    await utils.checkExec('mvn', {param: ['test'], timeout: 60});
+
+    expect(exec.exec).toHaveBeenCalledWith('timeout', ['--kill-after=30s', '60s', 'mvn', 'test'], expect.anything());
+  });
+
+  test('reports killed commands as timed out', async () => {
+    exec.exec.mockResolvedValue(137);
+
+    const result = await utils.checkExec('mvn', {param: ['test'], timeout: 60});
+    expect(result).toBe(utils.timeoutCode);
+
+    await expect(utils.checkExec('mvn', {timeout: 60, error: 'Tests failed'})).rejects.toThrow('Tests failed (timed out after 60 seconds).');
+  });
+
+  test('retries failed commands', async () => {
+    utils.retryDelay = 0;
+    exec.exec.mockResolvedValueOnce(128).mockResolvedValue(0);
+
+    await expect(utils.checkExec('git', {param: ['clone'], error: 'Failed cloning', retries: 2})).resolves.toBe(0);
+    expect(exec.exec).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry authentication failures', async () => {
+    exec.exec.mockImplementation(async (command, param, options) => {
+      options.listeners.stderr(Buffer.from('fatal: Authentication failed for repository\n'));
+      return 128;
+    });
+
+    await expect(utils.checkExec('git', {param: ['clone'], error: 'Failed cloning', retries: 2})).rejects.toThrow('Failed cloning (128).');
+    expect(exec.exec).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not retry timed out commands', async () => {
+    exec.exec.mockResolvedValue(utils.timeoutCode);
+
+    await expect(utils.checkExec('git', {param: ['clone'], timeout: 60, retries: 2})).resolves.toBe(utils.timeoutCode);
+    expect(exec.exec).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns trimmed output', async () => {
+    exec.exec.mockImplementation(async (command, param, options) => {
+      options.listeners.stdout(Buffer.from('abc123\n'));
+      return 0;
+    });
+
+    await expect(utils.getOutput('git', {param: ['rev-parse', 'HEAD']})).resolves.toBe('abc123');
+  });
+});
+
+describe('retry', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+    utils.warnings = 0;
+    utils.retryDelay = 0;
+  });
+
+  test('retries until success', async () => {
+    const action = jest.fn()
+      .mockRejectedValueOnce(Object.assign(new Error('Server Error'), {status: 502}))
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValue('done');
+
+    await expect(utils.retry(action, {retries: 2, title: 'Listing'})).resolves.toBe('done');
+
+    expect(action).toHaveBeenCalledTimes(3);
+    expect(utils.warnings).toBe(2);
+    expect(core.info).toHaveBeenCalledWith(expect.stringContaining('Listing failed (Server Error). Retrying in 0 seconds (attempt 2 of 3).'));
+  });
+
+  test('throws last error after all attempts', async () => {
+    const action = jest.fn().mockRejectedValue(new Error('socket hang up'));
+
+    await expect(utils.retry(action, {retries: 1})).rejects.toThrow('socket hang up');
+    expect(action).toHaveBeenCalledTimes(2);
+  });
+
+  test('waits longer between each attempt', async () => {
+    const sleep = jest.spyOn(utils, 'sleep').mockResolvedValue();
+    const action = jest.fn().mockRejectedValue(new Error('socket hang up'));
+
+    try {
+      await expect(utils.retry(action, {retries: 3, delay: 100})).rejects.toThrow();
+      expect(sleep.mock.calls).toEqual([[100], [200], [400]]);
+    }
+    finally {
+      sleep.mockRestore();
+    }
+  });
+
+  test.each([
+    [{status: 401}, false],
+    [{status: 404}, false],
+    [{status: 422}, false],
+    [{status: 403}, false],
+    [{status: 403, message: 'API rate limit exceeded'}, true],
+    [{status: 500}, true],
+    [{status: 429}, true],
+    [{name: 'ReserveCacheError'}, false],
+    [{}, true]
+  ])('classifies %p as retryable %p', (properties, expected) => {
+    const error = Object.assign(new Error(properties.message || 'Failed'), properties);
+    expect(utils.isRetryable(error)).toBe(expected);
+  });
+
+  test('uses retries input', () => {
+    core.getInput.mockReturnValue('5');
+    expect(utils.getRetries()).toBe(5);
+
+    core.getInput.mockReturnValue('');
+    expect(utils.getRetries()).toBe(utils.retries);
+  });
+});
+
+describe('states', () => {
+  beforeEach(() => {
+    jest.resetAllMocks();
+
+    const saved = new Map();
+    core.saveState.mockImplementation((name, value) => saved.set(name, `${value}`));
+    core.getState.mockImplementation(name => saved.has(name) ? saved.get(name) : '');
+  });
+
+  test('restores saved states', () => {
+    utils.saveStates({project: '3a', version: 'v3.0.1'});
+    expect(utils.restoreStates({})).toEqual({project: '3a', version: 'v3.0.1'});
+  });
+
+  test('restores state types', () => {
+    const states = {passed: false, count: 3, maven: ['-X'], counts: {passed: 1}, missing: undefined};
+    utils.saveStates(states);
+
+    delete states.missing;
+    expect(utils.restoreStates({})).toEqual(states);
+  });
+
+  test('restores nothing without saved states', () => {
+    expect(utils.restoreStates({})).toEqual({});
+  });
+
+  test('accepts states matching schema', () => {
+    utils.saveStates({project: '1', passed: true});
+    expect(utils.restoreStates({}, {project: 'string', passed: 'boolean', testCache: 'string?'})).toEqual({project: '1', passed: true});
+  });
+
+  test('reports missing states', () => {
+    utils.saveStates({project: '1'});
+    expect(() => utils.restoreStates({}, {project: 'string', tester: 'string', maven: 'array'})).toThrow('Missing states: tester, maven.');
+  });
+
+  test('reports invalid states', () => {
+    utils.saveStates({project: 1, passed: 'true'});
+    expect(() => utils.restoreStates({}, {project: 'string', passed: 'boolean?'})).toThrow('Invalid states: project (expected string but found number), passed (expected boolean but found string).');
+  });
+
+  test('restores states that do not match schema', () => {
+    utils.saveStates({project: 1});
+
+    const states = {};
+    expect(() => utils.restoreStates(states, {project: 'string'})).toThrow();
+    expect(states).toEqual({project: 1});
+  });
+});
+
+describe('getTimeout', () => {
+  test.each([
+    ['10', 600],
+    ['0.5', 30],
+    ['0', 0],
+    ['', 0]
+  ])('converts %p minutes to %p seconds', (input, expected) => {
+    core.getInput.mockReturnValue(input);
+    expect(utils.getTimeout('test-timeout')).toBe(expected);
+  });
+});
@@ -0,0 +1,351 @@
+const core = require('@actions/core');
+const github = require('@actions/github');
+const artifact = require('@actions/artifact');
+const fs = require('fs');
+const path = require('path');
+const utils = require('./utils.js');
+const projects = require('./projects.js');
+const result = require('./result.js');
+
+// increment whenever the structure of the batch result document changes
+exports.schema = 1;
+
+exports.file = 'batch.json';
+exports.artifact = 'Batch Verification Result';
+
+// directory with a subdirectory for each release verified
+exports.batchDir = 'batch';
+
+// phases run for each release, in order
+exports.phases = ['setup.js', 'index.js', 'cleanup.js'];
+
+/*
+ * Returns true if the action was started manually with a list of releases or
+ * projects to verify, instead of verifying a single release.
+ */
+exports.isBatch = function(context) {
+  return context.eventName === 'workflow_dispatch' && (core.getInput('releases') !== '' || core.getInput('projects') !== '');
+}
+
+/*
+ * Splits an input into a list of values separated by commas, spaces, or new
+ * lines.
+ */
+exports.parseList = function(input) {
+  return `${input || ''}`.split(/[\s,]+/).filter(value => value);
+}
+
+/*
+ * Returns the projects selected by the projects input, in mapping order. Each
+ * value is a project (like 3a) or a range of projects in mapping order (like
+ * 1-3b). Throws an error if a project is not in the mapping.
+ */
+exports.selectProjects = function(mapping, input) {
+  const order = [...new Set(mapping.map(entry => entry.project))];
+  const selected = new Set();
+
+  const indexOf = function(project) {
+    const index = order.indexOf(project);
+
+    if (index < 0) {
+      throw new Error(`Unable to find project ${project} in the mapping. Valid projects are: ${order.join(', ')}.`);
+    }
+
+    return index;
+  };
+
+  for (const value of exports.parseList(input)) {
+    const range = value.split('-');
+    const first = indexOf(range[0]);
+    const last = range.length > 1 ? indexOf(range[range.length - 1]) : first;
+
+    for (let index = Math.min(first, last); index <= Math.max(first, last); index++) {
+      selected.add(order[index]);
+    }
+  }
+
+  return order.filter(project => selected.has(project));
+}
+
+/*
+ * Lists the published releases of the selected projects, oldest first.
+ *
+ * octokit: the authenticated github client
+ * owner: the owner of the main repository
+ * repo: the name of the main repository
+ * mapping: the project mapping used to find the project of each release
+ * selected: the projects to include
+ */
+exports.findReleases = async function(octokit, owner, repo, mapping, selected) {
+  let releases = undefined;
+
+  try {
+    releases = await utils.retry(() => octokit.paginate(octokit.repos.listReleases, {
+      owner: owner,
+      repo: repo,
+      per_page: 100
+    }), {title: `Listing ${owner}/${repo} releases`});
+  }
+  catch (error) {
+    throw new Error(`Unable to list ${owner}/${repo} releases (${error.message.toLowerCase()}).`);
+  }
+
+  return releases
+    .filter(release => !release.draft)
+    .filter(release => {
+      const entry = projects.matchVersion(mapping, release.tag_name);
+      return entry !== undefined && selected.includes(entry.project);
+    })
+    .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at))
+    .map(release => release.tag_name);
+}
+
+/*
+ * Returns the directory a release is verified in, which keeps the main code,
+ * test code, and reports of each release separate.
+ */
+exports.releaseDir = function(version) {
+  return path.join(exports.batchDir, version.replace(/[^\w.-]/g, '_'));
+}
+
+/*
+ * Parses the key-value pairs written to a github command file (like the
+ * GITHUB_STATE or GITHUB_OUTPUT files). Later values replace earlier ones.
+ * Only version 1.10 and later of the toolkit write states and outputs to
+ * these files instead of the standard output.
+ */
+exports.parseCommandFile = function(text) {
+  const values = {};
+  const pattern = /^([^\n<=]+)<<([^\n]+)\n([\s\S]*?)\n?\2$/gm;
+  let matched = null;
+
+  while ((matched = pattern.exec(text)) !== null) {
+    values[matched[1]] = matched[3];
+  }
+
+  return values;
+}
+
+/*
+ * Reads a github command file, returning an empty object if it is missing.
+ */
+function readCommandFile(file) {
+  return fs.existsSync(file) ? exports.parseCommandFile(fs.readFileSync(file, 'utf8')) : {};
+}
+
+/*
+ * Returns the environment that makes the phases verify a single release as
+ * if its tag was pushed, with separate state, output, and summary files. The
+ * release directory is also the workspace, since cache paths are relative to
+ * the workspace.
+ */
+exports.environment = function(version, directory) {
+  const absolute = path.resolve(directory);
+
+  return {
+    GITHUB_WORKSPACE: absolute,
+    GITHUB_EVENT_NAME: 'push',
+    GITHUB_REF: `refs/tags/${version}`,
+    GITHUB_STATE: path.join(absolute, 'state.txt'),
+    GITHUB_OUTPUT: path.join(absolute, 'output.txt'),
+    GITHUB_STEP_SUMMARY: path.join(absolute, 'summary.md'),
+    INPUT_RELEASES: '',
+    INPUT_PROJECTS: '',
+    [result.batchVariable]: version
+  };
+}
+
+/*
+ * Runs the pre, main, and post phases for a single release in its own
+ * directory, passing the states saved by each phase on to the next one like
+ * the runner does. Returns the outcome of the release.
+ */
+exports.verifyRelease = async function(version) {
+  const directory = exports.releaseDir(version);
+  const env = exports.environment(version, directory);
+
+  await utils.checkExec('rm', {
+    param: ['-rf', directory],
+    title: `Removing earlier ${directory} directory`,
+    error: `Unable to remove ${directory} directory`
+  });
+
+  // the toolkit only appends to command files that already exist
+  fs.mkdirSync(directory, {recursive: true});
+
+  for (const file of [env.GITHUB_STATE, env.GITHUB_OUTPUT]) {
+    fs.writeFileSync(file, '');
+  }
+
+  const codes = [];
+
+  for (const phase of exports.phases) {
+    const states = readCommandFile(env.GITHUB_STATE);
+
+    for (const name in states) {
+      env[`STATE_${name}`] = states[name];
+    }
+
+    codes.push(await utils.checkExec(process.execPath, {
+      param: [path.join(__dirname, phase)],
+      title: `Running ${phase} for ${version}`,
+      chdir: `${directory}/`,
+      env: env
+    }));
+  }
+
+  const outputs = readCommandFile(env.GITHUB_OUTPUT);
+  const document = 'result' in outputs ? JSON.parse(outputs.result) : null;
+
+  return {
+    version: version,
+    project: document === null ? null : document.project,
+    passed: document !== null && document.passed === true,
+    message: document === null ? `Unable to verify ${version}.` : document.message,
+    codes: codes,
+    summary: fs.existsSync(env.GITHUB_STEP_SUMMARY) ? fs.readFileSync(env.GITHUB_STEP_SUMMARY, 'utf8') : '',
+    result: document
+  };
+}
+
+/*
+ * Creates the combined job summary, with a table of the outcome of each
+ * release followed by the job summary of each release.
+ */
+exports.summarize = function(outcomes) {
+  const passed = outcomes.filter(outcome => outcome.passed).length;
+
+  const rows = [
+    '| Release | Project | Result | Message |',
+    '|:--------|:--------|:-------|:--------|'
+  ];
+
+  for (const outcome of outcomes) {
+    const mark = outcome.passed ? ':heavy_check_mark: Passed' : ':x: Failed';
+    rows.push(`| \`${outcome.version}\` | ${outcome.project || '-'} | ${mark} | ${outcome.message || '-'} |`);
+  }
+
+  const lines = [
+    `## ${passed === outcomes.length ? ':heavy_check_mark:' : ':x:'} ${passed} of ${outcomes.length} releases passed verification.`,
+    rows.join('\n')
+  ];
+
+  for (const outcome of outcomes.filter(outcome => outcome.summary.trim())) {
+    lines.push(`<details><summary>${outcome.version} job summary</summary>\n\n${outcome.summary.trim()}\n\n</details>`);
+  }
+
+  return lines.join('\n\n');
+}
+
+/*
+ * Creates the batch result document listing the outcome and verification
+ * result of every release.
+ */
+exports.createDocument = function(outcomes) {
+  return {
+    schema: exports.schema,
+    run: {
+      id: github.context.runId,
+      number: github.context.runNumber,
+      ref: github.context.ref
+    },
+    passed: outcomes.every(outcome => outcome.passed),
+    releases: outcomes.map(outcome => ({
+      version: outcome.version,
+      project: outcome.project,
+      passed: outcome.passed,
+      message: outcome.message,
+      result: outcome.result
+    }))
+  };
+}
+
+/*
+ * Verifies every release listed in the releases input, or every release of
+ * the projects in the projects input, then writes one combined job summary
+ * and uploads one combined result artifact. Used by the main phase instead of
+ * verifying a single release.
+ */
+async function run() {
+  const outcomes = [];
+  const owner = github.context.repo.owner;
+  const repo = github.context.repo.repo;
+
+  const token = core.getInput('token');
+  core.setSecret(token);
+
+  const octokit = github.getOctokit(token);
+
+  try {
+    // -----------------------------------------------
+    core.startGroup('Finding releases to verify...');
+
+    let releases = exports.parseList(core.getInput('releases'));
+
+    if (releases.length < 1) {
+      const mapping = await projects.loadMapping(octokit, owner, utils.testDir);
+      const selected = exports.selectProjects(mapping, core.getInput('projects'));
+
+      core.info(`Selected projects: ${selected.join(', ')}`);
+      releases = await exports.findReleases(octokit, owner, repo, mapping, selected);
+    }
+
+    if (releases.length < 1) {
+      throw new Error('Unable to find any releases to verify.');
+    }
+
+    core.info(`Verifying releases: ${releases.join(', ')}`);
+    core.info('');
+    core.endGroup();
+    // -----------------------------------------------
+
+    // the phases of each release show their own groups
+    for (const version of releases) {
+      utils.showTitle(`Batch Verification of ${version}`);
+      outcomes.push(await exports.verifyRelease(version));
+    }
+
+    utils.showTitle('Batch Verification Results');
+
+    // -----------------------------------------------
+    core.startGroup('Uploading batch results...');
+
+    const document = exports.createDocument(outcomes);
+    fs.writeFileSync(exports.file, JSON.stringify(document, null, 2));
+
+    const upload = await artifact.create().uploadArtifact(exports.artifact, [exports.file], '.');
+
+    if (upload.failedItems.length != 0) {
+      throw new Error(`Failed to upload: ${upload.failedItems.join(', ')}.`);
+    }
+
+    utils.writeSummary(exports.summarize(outcomes));
+
+    core.setOutput('passed', document.passed);
+    core.setOutput('result', JSON.stringify(document));
+
+    core.info('');
+    core.endGroup();
+    // -----------------------------------------------
+
+    const failed = outcomes.filter(outcome => !outcome.passed).map(outcome => outcome.version);
+
+    if (failed.length > 0) {
+      throw new Error(`${failed.length} of ${outcomes.length} releases failed verification: ${failed.join(', ')}.`);
+    }
+
+    utils.showSuccess(`All ${outcomes.length} releases passed verification.`);
+  }
+  catch (error) {
+    utils.showError(`${error.message}\n`); // show error in group
+    core.endGroup();  // end group
+
+    // displays outside of group; always visible
+    core.setFailed(`Unable to verify releases. ${error.message}`);
+  }
+  finally {
+    utils.checkWarnings('"Batch Test Project"');
+  }
+}
+
+exports.run = run;
@@ -0,0 +1,209 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const utils = require('./utils.js');
+const sandbox = require('./sandbox.js');
+
+// file the maven dependency plugin writes the runtime classpath to
+exports.classpathFile = 'target/benchmark.classpath';
+
+/*
+ * Checks and normalizes the benchmark settings of a project mapping entry.
+ * Throws an error if the settings are not valid.
+ *
+ * main: the class with the main method to run
+ * args: arguments for every run, with paths relative to the test repository
+ * threads: thread counts to compare against a single-threaded run
+ * flag: the argument used to enable multithreading (default -threads)
+ * warmup: runs of each configuration to discard first (default 1)
+ * runs: timed runs of each configuration (default 5)
+ * min-speedup: fastest speedup required to pass (optional)
+ */
+exports.validateSettings = function(settings, source) {
+  if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error(`${source} must list benchmark settings as an object.`);
+  }
+
+  if (settings.main === undefined || `${settings.main}`.length < 1) {
+    throw new Error(`${source} is missing the benchmark main class.`);
+  }
+
+  const args = settings.args === undefined ? [] : settings.args;
+  const threads = settings.threads === undefined ? [3] : settings.threads;
+
+  if (!Array.isArray(args)) {
+    throw new Error(`${source} must list benchmark arguments as an array.`);
+  }
+
+  if (!Array.isArray(threads) || threads.length < 1 || !threads.every(count => parseInt(count) > 0)) {
+    throw new Error(`${source} must list benchmark thread counts as an array of positive numbers.`);
+  }
+
+  const counts = {warmup: 1, runs: 5};
+
+  for (const count in counts) {
+    if (settings[count] !== undefined) {
+      const value = parseInt(settings[count]);
+
+      if (!(value >= (count === 'runs' ? 1 : 0))) {
+        throw new Error(`${source} has an invalid benchmark ${count} count (${settings[count]}).`);
+      }
+
+      counts[count] = value;
+    }
+  }
+
+  const speedup = settings['min-speedup'] === undefined ? null : parseFloat(settings['min-speedup']);
+
+  if (speedup !== null && !(speedup > 0)) {
+    throw new Error(`${source} has an invalid benchmark min-speedup (${settings['min-speedup']}).`);
+  }
+
+  return {
+    main: `${settings.main}`,
+    args: args.map(arg => `${arg}`),
+    threads: threads.map(count => parseInt(count)),
+    flag: settings.flag === undefined ? '-threads' : `${settings.flag}`,
+    warmup: counts.warmup,
+    runs: counts.runs,
+    'min-speedup': speedup
+  };
+}
+
+/*
+ * Returns the median of a non-empty list of numbers.
+ */
+exports.median = function(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
+
+/*
+ * Returns the configurations to benchmark: a single-threaded run without
+ * the thread flag first, then one run for each thread count.
+ */
+exports.configurations = function(settings) {
+  return [
+    {label: 'single-threaded', threads: 1, args: settings.args},
+    ...settings.threads.map(count => ({label: `${count} threads`, threads: count, args: [...settings.args, settings.flag, `${count}`]}))
+  ];
+}
+
+/*
+ * Summarizes the run times of each configuration, computing the speedup of
+ * each multithreaded configuration over the single-threaded one. Passes if
+ * there is no required speedup or the fastest speedup meets it.
+ *
+ * measured: list of configurations with the times (in milliseconds) of runs
+ */
+exports.summarize = function(settings, measured) {
+  const baseline = exports.median(measured[0].times);
+
+  const configurations = measured.map((config, index) => {
+    const median = exports.median(config.times);
+
+    return {
+      threads: index === 0 ? null : config.threads,
+      times: config.times,
+      median: median,
+      speedup: index === 0 || median <= 0 ? null : Math.round(100 * baseline / median) / 100
+    };
+  });
+
+  const speedups = configurations.filter(config => config.speedup !== null).map(config => config.speedup);
+  const best = speedups.length > 0 ? Math.max(...speedups) : null;
+  const required = settings['min-speedup'];
+
+  return {
+    configurations: configurations,
+    speedup: best,
+    required: required,
+    passed: required === null || (best !== null && best >= required)
+  };
+}
+
+/*
+ * Finds the runtime classpath of the main code (including any dependencies)
+ * using the maven dependency plugin.
+ */
+exports.findClasspath = async function(timeout) {
+  await utils.checkExec('mvn', {
+    param: ['-ntp', '-q', 'dependency:build-classpath', `-Dmdep.outputFile=${exports.classpathFile}`],
+    title: 'Finding main code classpath',
+    error: 'Unable to find main code classpath',
+    chdir: `${utils.mainDir}/`,
+    timeout: timeout
+  });
+
+  const dependencies = fs.readFileSync(`${utils.mainDir}/${exports.classpathFile}`, 'utf8').trim();
+  const classes = `../${utils.mainDir}/target/classes`;
+
+  // dependency paths are absolute, so the classpath works from any directory
+  return dependencies ? `${classes}:${dependencies}` : classes;
+}
+
+/*
+ * Runs each configuration the warmup number of times followed by the timed
+ * number of runs, returning the times of the timed runs. Every run uses the
+ * test repository as its working directory so inputs may be found there, and
+ * runs inside the sandbox if there are limits.
+ */
+exports.measure = async function(settings, classpath, timeout, limits) {
+  const measured = [];
+
+  for (const config of exports.configurations(settings)) {
+    const label = config.label;
+    const times = [];
+
+    for (let run = 1; run <= settings.warmup + settings.runs; run++) {
+      const warmup = run <= settings.warmup;
+      const started = Date.now();
+
+      const ran = await sandbox.run('java', {
+        param: ['-cp', classpath, settings.main, ...config.args],
+        title: `Running ${label} ${warmup ? 'warmup' : 'benchmark'} ${warmup ? run : run - settings.warmup}`,
+        chdir: `${utils.testDir}/`,
+        timeout: timeout
+      }, limits);
+
+      if (timeout > 0 && ran.code === utils.timeoutCode) {
+        throw new Error(`Unable to run ${label} benchmark (timed out after ${timeout} seconds).`);
+      }
+
+      if (ran.reason !== undefined) {
+        throw new Error(`Unable to run ${label} benchmark (${sandbox.describeReason(ran.reason, limits)}).`);
+      }
+
+      if (ran.code !== 0) {
+        throw new Error(`Unable to run ${label} benchmark (${ran.code}).`);
+      }
+
+      if (!warmup) {
+        times.push(Date.now() - started);
+      }
+    }
+
+    core.info(`\nMedian ${label} time: ${exports.median(times)} ms`);
+    measured.push({threads: config.threads, times: times});
+  }
+
+  return measured;
+}
+
+/*
+ * Creates a Markdown table of the benchmark results.
+ */
+exports.summarizeBenchmark = function(benchmark) {
+  const rows = [
+    '| Threads | Median Time | Speedup | Times |',
+    '|:--------|------------:|--------:|:------|'
+  ];
+
+  for (const config of benchmark.configurations) {
+    const threads = config.threads === null ? 'Single-threaded' : `${config.threads}`;
+    const speedup = config.speedup === null ? '-' : `${config.speedup.toFixed(2)}x`;
+    rows.push(`| ${threads} | ${config.median} ms | ${speedup} | ${config.times.join(', ')} ms |`);
+  }
+
+  return rows.join('\n');
+}
@@ -5,21 +5,188 @@ const cache = require('@actions/cache');
 const artifact = require('@actions/artifact');
 const glob = require('@actions/glob');
 const utils = require('./utils.js');
+const surefire = require('./surefire.js');
+const result = require('./result.js');
+const javac = require('./javac.js');
+const compare = require('./compare.js');
+const comment = require('./comment.js');
+const description = require('./release.js');
+const flaky = require('./flaky.js');
+const coverage = require('./coverage.js');
+const inspection = require('./inspection.js');
+const benchmark = require('./benchmark.js');
+const jdks = require('./jdks.js');
+const maven = require('./maven.js');
+const batch = require('./batch.js');
+const dashboard = require('./dashboard.js');
+const integrity = require('./integrity.js');
+const deadline = require('./deadline.js');
+
+/*
+ * Updates the results section of the release description, keeping any text
+ * written by the student. Skipped if the tests never ran or the ref is not a
+ * release tag. Any tag is accepted, since the mapping decides which tags are
+ * releases.
+ */
+exports.updateRelease = async function(octokit, states, status, results) {
+  const ref = github.context.ref;
+
+  if (states.mode === 'release' && 'passed' in states && 'message' in states && ref.startsWith('refs/tags/')) {
+    const release = await utils.retry(() => octokit.repos.getReleaseByTag({
+      owner: github.context.repo.owner,
+      repo: github.context.repo.repo,
+      tag: states.version
+    }), {title: `Finding release ${states.version}`});
+
+    status.release = release.status;
+
+    if (release.status === 200) {
+      core.info(`Found release ${release.data.tag_name}.`);
+
+      const body = description.updateBody(release.data.body, states, results);
+
+      const update = await utils.retry(() => octokit.repos.updateRelease({
+        owner: github.context.repo.owner,
+        repo: github.context.repo.repo,
+        release_id: release.data.id,
+        body: body
+      }), {title: `Updating release ${states.version}`});
+
+      status.release = update.status
+
+      if (update.status === 200) {
+        core.info(`Updated release ${update.data.tag_name} description.`)
+      }
+      else {
+        core.debug(JSON.stringify(update));
+        throw new Error(`Unable to update release: ${states.version}`);
+      }
+    }
+    else {
+      core.debug(JSON.stringify(release));
+      throw new Error(`Unable to find release: ${states.version}`);
+    }
+  }
+  else {
+    core.info(`Skipping; ref ${ref} is not a valid release or tag.`);
+  }
+}
+
+/*
+ * Saves the test repository to the cache, unless it was restored from a
+ * cache with the same key. Actual output files are removed first. Throws an
+ * error instead of saving a test repository with other changed files, so
+ * later runs do not restore bad test data.
+ */
+exports.saveTestCache = async function(states, status) {
+  if ('testKey' in states) {
+    if ('testCache' in states && states.testKey === states.testCache) {
+      core.info(`Skipping; cache already exists.`);
+    }
+    else {
+      await integrity.removeOutput(utils.testDir);
+
+      const changed = await integrity.changedFiles(utils.testDir);
+      status.testChanged = changed.length;
+
+      if (changed.length > 0) {
+        throw new Error(`Refusing to save ${utils.testDir} cache with ${changed.length} changed files: ${changed.slice(0, 5).join(', ')}`);
+      }
+
+      core.info(`Saving ${states.testKey} to cache...`);
+      status.testCache = await utils.retry(() => cache.saveCache([utils.testDir], states.testKey), {
+        title: `Saving ${states.testKey} cache`
+      });
+      core.info(`Saved cache: ${status.testCache}`);
+    }
+  }
+  else {
+    core.info('Unable to cache; key not found');
+  }
+}
+
+/*
+ * Saves the local maven repository to the cache, unless it was restored from
+ * a cache with the same key or is larger than the size limit.
+ */
+exports.saveMavenCache = async function(states, status) {
+  if (!('mavenKey' in states)) {
+    core.info('Skipping; maven repository caching is disabled.');
+    return;
+  }
+
+  if ('mavenCache' in states && states.mavenKey === states.mavenCache) {
+    core.info('Skipping; cache already exists.');
+    return;
+  }
+
+  const size = maven.directorySize(maven.repositoryDir);
+  const limit = maven.getLimit();
+
+  core.info(`Maven repository size: ${maven.formatSize(size)}`);
+
+  if (size === 0) {
+    core.info('Skipping; maven repository is empty.');
+    return;
+  }
+
+  if (limit > 0 && size > limit) {
+    utils.showWarning(`Skipped saving maven repository cache; ${maven.formatSize(size)} is larger than the ${maven.formatSize(limit)} limit.`);
+    return;
+  }
+
+  core.info(`Saving ${states.mavenKey} to cache...`);
+  status.mavenCache = await utils.retry(() => cache.saveCache([maven.repositoryDir], states.mavenKey), {
+    title: `Saving ${states.mavenKey} cache`
+  });
+
+  core.info(`Saved cache: ${status.mavenCache}`);
+}
+
+// states that may be restored from the pre and main phases
+exports.schema = {
+  mode: 'string?',
+  pull: 'number?',
+  version: 'string?',
+  passed: 'boolean?',
+  message: 'string?',
+  timedOut: 'string?',
+  limit: 'string?',
+  submission: 'object?',
+  testKey: 'string?',
+  testCache: 'string?',
+  mavenKey: 'string?',
+  mavenCache: 'string?'
+};
 
 async function run() {
+  if (batch.isBatch(github.context) || dashboard.isDashboard()) {
+    core.info('Skipping; the main phase does all of the work in batch and dashboard modes.');
+    return;
+  }
+
   const status = {}; // status of intermediate steps
   const states = {}; // things to remember between pre/main/post
+  const results = result.load(); // results to upload for other tools
+  const started = Date.now();
+
+  let diffs = []; // differences between actual and expected output
 
   const token = core.getInput('token');
   core.setSecret(token);
 
   const octokit = github.getOctokit(token);
 
-  utils.restoreStates(states);
+  try {
+    utils.restoreStates(states, exports.schema);
+  }
+  catch (error) {
+    utils.showWarning(`Encountered issues restoring state. ${error.message}`);
+  }
 
   utils.showTitle('Cleanup Reporting Phase');
 
-  if ('passed' in states && states.passed !== 'true') {
+  if ('passed' in states && states.passed !== true) {
     const artifactClient = artifact.create();
 
     try {
@@ -72,7 +239,7 @@ async function run() {
 
       core.info('\nUploading artifacts...');
       status.sizeUpload = await artifactClient.uploadArtifact(
-        'Test Reports', ['results.zip'], '.'
+        result.artifactName('Test Reports'), ['results.zip'], '.'
       );
 
       if (status.sizeUpload.failedItems.length != 0) {
@@ -80,6 +247,8 @@ async function run() {
         throw new Error(`Failed to upload: ${items}.`);
       }
 
+      result.addArtifact(results, result.artifactName('Test Reports'));
+
       core.info('');
       core.endGroup();
       // -----------------------------------------------
@@ -99,6 +268,16 @@ async function run() {
       if (found.length > 0) {
         core.info(`Found: ${found}`);
 
+        diffs = compare.compareFiles();
+        status.actualDiffs = diffs.length;
+        core.info(`\nFound ${diffs.length} actual output files that do not match the expected output.`);
+
+        const files = ['actual.zip'];
+
+        if (diffs.length > 0) {
+          files.push(compare.writePatch(diffs));
+        }
+
         status.actualZip = await utils.checkExec('zip', {
           param: ['-r', '../actual.zip', 'actual'],
           title: 'Zipping actual output files',
@@ -121,7 +300,7 @@ async function run() {
 
         core.info('\nUploading artifacts...');
         status.actualUpload = await artifactClient.uploadArtifact(
-          'Actual Output', ['actual.zip'], '.'
+          result.artifactName('Actual Output'), files, '.'
         );
 
         core.info(`Uploaded ${status.actualUpload.size} bytes.`);
@@ -130,6 +309,8 @@ async function run() {
           const items = status.actualUpload.failedItems.join(', ');
           throw new Error(`Failed to upload: ${items}.`);
         }
+
+        result.addArtifact(results, result.artifactName('Actual Output'));
       }
       else {
         core.info('Skipping; no actual output files to upload.');
@@ -148,50 +329,101 @@ async function run() {
     core.info('Skipping; no debug output to generate.');
   }
 
-  utils.showTitle('Cleanup Annotation Phase');
+  utils.showTitle('Cleanup Summary Phase');
 
   try {
     // -----------------------------------------------
-    core.startGroup('Updating release...');
+    core.startGroup('Writing job summary...');
 
-    const ref = github.context.ref;
+    if ('passed' in states && 'message' in states) {
+      const tests = await surefire.parseReports();
+      status.summaryTests = tests.length;
 
-    if ('passed' in states && 'message' in states && ref.startsWith('refs/tags/v')) {
-      const release = await octokit.repos.getReleaseByTag({
-        owner: github.context.repo.owner,
-        repo: github.context.repo.repo,
-        tag: states.version
-      });
+      const lines = [
+        `## ${states.passed === true ? ':heavy_check_mark:' : ':x:'} ${states.message}`
+      ];
 
-      status.release = release.status;
+      if ('timedOut' in states) {
+        lines.push(`:hourglass: The ${states.timedOut} test run timed out and was stopped. The results below may be incomplete.`);
+      }
 
-      if (release.status === 200) {
-        core.info(`Found release ${release.data.tag_name}.`);
+      if ('submission' in states) {
+        lines.push(deadline.describeSubmission(states.submission));
+      }
 
-        const update = await octokit.repos.updateRelease({
-          owner: github.context.repo.owner,
-          repo: github.context.repo.repo,
-          release_id: release.data.id,
-          body: `:octocat: ${states.message} See action run #${github.context.runNumber} (${github.context.runId}).`
-        });
+      if ('limit' in states) {
+        lines.push(`:no_entry: The verification test run reached the ${states.limit} sandbox limit and was stopped. The results below may be incomplete.`);
+      }
+
+      if (tests.length > 0) {
+        lines.push(surefire.summarizeTests(tests));
+      }
+      else {
+        lines.push('No surefire test results found.');
+      }
+
+      if (results.flaky.length > 0) {
+        lines.push('### Re-run Tests');
+        lines.push('These tests failed verification and were re-run. Flaky tests passed at least once when re-run.');
+        lines.push(flaky.summarizeTests(results.flaky));
+      }
+
+      if (results.inspection.length > 0) {
+        lines.push('### Code Inspection');
+        lines.push(inspection.summarizeViolations(results.inspection));
+      }
+
+      if (results.jdks.length > 0) {
+        lines.push('### JDKs');
+        lines.push(jdks.summarizeJdks(results.jdks, states.passed === true));
+      }
 
-        status.release = update.status
+      if (results.benchmark !== null) {
+        const required = results.benchmark.required === null ? '' : ` (at least ${results.benchmark.required}x required)`;
 
-        if (update.status === 200) {
-          core.info(`Updated release ${update.data.tag_name} description.`)
+        lines.push('### Benchmark');
+        lines.push(`${results.benchmark.passed ? ':heavy_check_mark:' : ':x:'} The fastest multithreaded run was ${results.benchmark.speedup}x faster than the single-threaded run${required}. Times are the median of each configuration.`);
+        lines.push(benchmark.summarizeBenchmark(results.benchmark));
+      }
+
+      if (results.coverage !== null) {
+        lines.push('### Code Coverage');
+        lines.push(`<details><summary>The verification tests ran ${coverage.percent(results.coverage.line)} of the lines and ${coverage.percent(results.coverage.branch)} of the branches in the main code.</summary>\n\n${coverage.summarizeCoverage(results.coverage)}\n</details>`);
+      }
+
+      if (diffs.length > 0) {
+        const lineLimit = parseInt(core.getInput('diff-lines')) || 0;
+        const fileLimit = parseInt(core.getInput('diff-files')) || 0;
+        lines.push(compare.summarizeDiffs(diffs, lineLimit, fileLimit));
+      }
+
+      if ('categories' in results.warnings) {
+        if (results.warnings.main > 0) {
+          lines.push('### Compiler Warnings');
+          lines.push('These warnings will not cause the tests to fail, but must be fixed before requesting code review.');
+          lines.push(javac.summarizeCategories(results.warnings.categories));
         }
         else {
-          core.debug(JSON.stringify(update));
-          throw new Error(`Unable to update release: ${states.version}`);
+          lines.push('No compiler warnings found.');
         }
       }
-      else {
-        core.debug(JSON.stringify(release));
-        throw new Error(`Unable to find release: ${states.version}`);
+
+      if ('tests' in results.caches && 'health' in results.caches.tests) {
+        const restored = results.caches.tests;
+        const problems = restored.problems.length > 0 ? ` and replaced with a fresh clone: ${restored.problems.join('; ')}` : '';
+        lines.push(`Test repository cache ${restored.result} (${restored.health}${problems}).`);
+      }
+
+      if ('maven' in results.caches) {
+        const restored = results.caches.maven;
+        lines.push(`Maven repository cache ${restored.result} (${maven.formatSize(restored.size)} restored).`);
       }
+
+      utils.writeSummary(lines.join('\n\n'));
+      core.info(`Summarized ${tests.length} test results.`);
     }
     else {
-      core.info(`Skipping; ref ${ref} is not a valid release or tag.`);
+      core.info('Skipping; no test results to summarize.');
     }
 
     core.info('');
@@ -200,28 +432,71 @@ async function run() {
   }
   catch (error) {
     core.endGroup();
-    utils.showWarning(`Encountered issues updating release. ${error.message}`);
+    utils.showWarning(`Encountered issues writing job summary. ${error.message}`);
   }
 
-  utils.showTitle('Cleanup Cache Phase');
+  utils.showTitle('Cleanup Result Phase');
 
   try {
     // -----------------------------------------------
-    core.startGroup(`Saving ${utils.testDir} cache...`);
+    core.startGroup('Uploading verification result...');
 
-    if ('testKey' in states) {
-      if ('testCache' in states && states.testKey === states.testCache) {
-        core.info(`Skipping; cache already exists.`);
-      }
-      else {
-        core.info(`Saving ${states.testKey} to cache...`);
-        status.testCache = await cache.saveCache([utils.testDir], states.testKey);
-        core.info(`Saved cache: ${status.testCache}`);
-      }
+    result.time(results, 'cleanup', started);
+    status.resultUpload = await result.upload(results, artifact.create());
+    core.info(`Uploaded ${status.resultUpload.size} bytes.`);
+
+    core.info('');
+    core.endGroup();
+    // -----------------------------------------------
+  }
+  catch (error) {
+    core.endGroup();
+    utils.showWarning(`Encountered issues uploading verification result. ${error.message}`);
+  }
+
+  utils.showTitle('Cleanup Annotation Phase');
+
+  if (states.mode === 'pull_request') {
+    try {
+      // -----------------------------------------------
+      core.startGroup('Updating pull request comment...');
+
+      const update = await comment.updateComment(octokit, states, results);
+      status.comment = update.status;
+
+      core.info('');
+      core.endGroup();
+      // -----------------------------------------------
     }
-    else {
-      core.info('Unable to cache; key not found');
+    catch (error) {
+      core.endGroup();
+      utils.showWarning(`Encountered issues updating pull request comment. ${error.message}`);
+    }
+  }
+  else {
+    try {
+      // -----------------------------------------------
+      core.startGroup('Updating release...');
+
+      await exports.updateRelease(octokit, states, status, results);
+
+      core.info('');
+      core.endGroup();
+      // -----------------------------------------------
+    }
+    catch (error) {
+      core.endGroup();
+      utils.showWarning(`Encountered issues updating release. ${error.message}`);
     }
+  }
+
+  utils.showTitle('Cleanup Cache Phase');
+
+  try {
+    // -----------------------------------------------
+    core.startGroup(`Saving ${utils.testDir} cache...`);
+
+    await exports.saveTestCache(states, status);
 
     core.info('');
     core.endGroup();
@@ -232,6 +507,21 @@ async function run() {
     utils.showWarning(`Encountered issues saving cache. ${error.message}`);
   }
 
+  try {
+    // -----------------------------------------------
+    core.startGroup('Saving maven repository cache...');
+
+    await exports.saveMavenCache(states, status);
+
+    core.info('');
+    core.endGroup();
+    // -----------------------------------------------
+  }
+  catch (error) {
+    core.endGroup();
+    utils.showWarning(`Encountered issues saving maven repository cache. ${error.message}`);
+  }
+
   utils.showTitle('Cleanup Logging Phase');
 
   core.startGroup('Logging cleanup status...');
@@ -242,4 +532,9 @@ async function run() {
   utils.checkWarnings('"Post Test Project"');
 }
 
-run();
+// only run automatically when executed by the action runner
+if (require.main === module) {
+  run();
+}
+
+exports.run = run;
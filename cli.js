@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/*
+ * Runs the pre, main, and post phases of the action against local project
+ * main and test repositories, without pushing anything to github. Useful for
+ * reproducing a run or debugging changes to the action.
+ *
+ * Usage:
+ * node cli.js --main <dir> --tests <dir> --version <tag> [options]
+ *
+ * Options:
+ * --main <dir>          local git repository with the project code (required)
+ * --tests <dir>         local git repository with the project tests (required)
+ * --version <tag>       tag in the main repository to test (required)
+ * --owner <name>        repository owner to simulate (default: local)
+ * --repo <name>         repository name to simulate (default: project-local)
+ * --work <dir>          directory to run the phases in (default: test-project-run)
+ * --input <name=value>  sets an action input (may be repeated)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+const yaml = require('js-yaml');
+
+const usage = 'Usage: node cli.js --main <dir> --tests <dir> --version <tag> [--owner <name>] [--repo <name>] [--work <dir>] [--input <name=value>]...';
+
+/*
+ * Parses the command-line arguments into an object of options.
+ */
+function parseArgs(args) {
+  const options = {
+    owner: 'local',
+    repo: 'project-local',
+    work: 'test-project-run',
+    inputs: {}
+  };
+
+  for (let i = 0; i < args.length; i += 2) {
+    const flag = args[i];
+    const value = args[i + 1];
+
+    if (!flag.startsWith('--') || value === undefined) {
+      throw new Error(`Unexpected argument: ${flag}`);
+    }
+
+    if (flag === '--input') {
+      const index = value.indexOf('=');
+
+      if (index < 1) {
+        throw new Error(`Inputs must be of the form name=value: ${value}`);
+      }
+
+      options.inputs[value.substring(0, index)] = value.substring(index + 1);
+    }
+    else {
+      options[flag.substring(2)] = value;
+    }
+  }
+
+  for (const required of ['main', 'tests', 'version']) {
+    if (!(required in options)) {
+      throw new Error(`Missing required option --${required}.`);
+    }
+  }
+
+  return options;
+}
+
+/*
+ * Sets the environment variables the actions toolkit reads, including the
+ * action inputs (using the defaults from action.yml when not specified).
+ */
+function setEnvironment(options, work) {
+  const action = yaml.load(fs.readFileSync(path.join(__dirname, 'action.yml'), 'utf8'));
+  // local runs already share the maven repository in the home directory
+  const inputs = Object.assign({token: 'local', 'maven-cache': 'false'}, options.inputs);
+
+  for (const name in action.inputs) {
+    const value = name in inputs ? inputs[name] : action.inputs[name].default;
+
+    if (value !== undefined) {
+      process.env[`INPUT_${name.toUpperCase()}`] = value;
+    }
+  }
+
+  const event = path.join(work, 'event.json');
+  fs.writeFileSync(event, JSON.stringify({ref: `refs/tags/${options.version}`}));
+
+  process.env.GITHUB_REPOSITORY = `${options.owner}/${options.repo}`;
+  process.env.GITHUB_REF = `refs/tags/${options.version}`;
+  process.env.GITHUB_EVENT_NAME = 'push';
+  process.env.GITHUB_EVENT_PATH = event;
+  process.env.GITHUB_RUN_ID = `${Date.now()}`;
+  process.env.GITHUB_RUN_NUMBER = '1';
+  process.env.GITHUB_WORKSPACE = work;
+  process.env.GITHUB_STEP_SUMMARY = path.join(work, 'summary.md');
+
+  // outputs and states are kept in memory instead
+  delete process.env.GITHUB_OUTPUT;
+  delete process.env.GITHUB_STATE;
+}
+
+/*
+ * Replaces the parts of the actions toolkit that require github with local
+ * stand-ins, and returns the recorded outputs and failures.
+ */
+function patchToolkit(options, work) {
+  const core = require('@actions/core');
+  const github = require('@actions/github');
+  const cache = require('@actions/cache');
+  const artifact = require('@actions/artifact');
+  const local = require('./local.js');
+  const utils = require('./utils.js');
+
+  const recorded = {states: new Map(), outputs: {}, failures: []};
+
+  core.setSecret = () => {};
+  core.saveState = (name, value) => recorded.states.set(name, typeof value === 'string' ? value : JSON.stringify(value));
+  core.getState = (name) => recorded.states.has(name) ? recorded.states.get(name) : '';
+  core.setOutput = (name, value) => { recorded.outputs[name] = value; };
+
+  core.startGroup = (name) => core.info(`\n=== ${name}`);
+  core.endGroup = () => {};
+
+  for (const level of ['error', 'warning', 'notice']) {
+    core[level] = (message, properties = {}) => {
+      const location = properties.file ? `${properties.file}:${properties.startLine || 1}: ` : '';
+      const title = properties.title ? `${properties.title}: ` : '';
+      core.info(`${level.toUpperCase()}: ${location}${title}${message}`);
+    };
+  }
+
+  core.setFailed = (message) => {
+    recorded.failures.push(`${message}`);
+    core.info(`FAILED: ${message}`);
+  };
+
+  const server = path.join(work, '.server', options.owner);
+  fs.mkdirSync(server, {recursive: true});
+
+  for (const [name, target] of [[options.repo, options.main], [utils.testDir, options.tests]]) {
+    const link = path.join(server, name);
+
+    if (fs.existsSync(link)) {
+      fs.unlinkSync(link);
+    }
+
+    fs.symlinkSync(path.resolve(target), link);
+  }
+
+  utils.cloneUrl = (token, repo) => `file://${path.join(work, '.server', repo)}`;
+  utils.remoteUrl = (repo) => utils.cloneUrl(undefined, repo);
+
+  const octokit = local.createOctokit({
+    main: path.resolve(options.main),
+    tests: path.resolve(options.tests),
+    releases: path.join(work, 'releases.json'),
+    version: options.version
+  });
+
+  github.getOctokit = () => octokit;
+  Object.assign(cache, local.createCache(path.join(work, '.cache')));
+
+  const artifactClient = local.createArtifactClient(path.join(work, 'artifacts'));
+  artifact.create = () => artifactClient;
+
+  return recorded;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const work = path.resolve(options.work);
+
+  fs.mkdirSync(work, {recursive: true});
+  setEnvironment(options, work);
+
+  // must happen after the environment is set up
+  const recorded = patchToolkit(options, work);
+  const utils = require('./utils.js');
+
+  process.chdir(work);
+
+  // start from a clean checkout like a new runner would
+  for (const directory of [utils.mainDir, utils.testDir, 'summary.md']) {
+    childProcess.execFileSync('rm', ['-rf', directory]);
+  }
+
+  for (const phase of ['setup.js', 'index.js', 'cleanup.js']) {
+    utils.warnings = 0;
+    await require(`./${phase}`).run();
+  }
+
+  utils.showTitle('Local Run Results');
+  console.info(`Work directory: ${work}`);
+  console.info(`Job summary: ${process.env.GITHUB_STEP_SUMMARY}`);
+  console.info(`Artifacts: ${path.join(work, 'artifacts')}`);
+  console.info(`Releases: ${path.join(work, 'releases.json')}`);
+  console.info(`Outputs: ${JSON.stringify(Object.keys(recorded.outputs))}`);
+
+  if (recorded.failures.length > 0) {
+    utils.showError(recorded.failures.join('\n'));
+    process.exitCode = 1;
+  }
+  else {
+    utils.showSuccess('All phases completed.');
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  console.error(usage);
+  process.exitCode = 2;
+});
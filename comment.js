@@ -0,0 +1,121 @@
+const core = require('@actions/core');
+const github = require('@actions/github');
+const surefire = require('./surefire.js');
+const javac = require('./javac.js');
+const utils = require('./utils.js');
+const result = require('./result.js');
+
+// hidden marker used to find the comment from earlier runs
+exports.marker = '<!-- test-project-results -->';
+
+// maximum number of failing tests listed in the comment
+exports.testLimit = 20;
+
+/*
+ * Returns the first label on a pull request that names a project in the
+ * mapping (using the label prefix), or undefined if there is none.
+ */
+exports.findProjectLabel = function(mapping, labels, prefix) {
+  const names = labels.map(label => `${label.name}`.toLowerCase());
+  const found = mapping.find(entry => names.includes(`${prefix}${entry.project}`.toLowerCase()));
+  return found === undefined ? undefined : found.project;
+}
+
+/*
+ * Returns the tests that failed in the last test run of the result document.
+ */
+exports.failingTests = function(results) {
+  return result.lastTests(results).filter(test => test.outcome === 'failed' || test.outcome === 'errored');
+}
+
+/*
+ * Creates the pull request comment body from the states and result document.
+ */
+exports.createBody = function(states, results) {
+  const lines = [exports.marker];
+
+  if ('passed' in states && 'message' in states) {
+    lines.push(`## ${states.passed === true ? ':heavy_check_mark:' : ':x:'} ${states.message}`);
+  }
+  else {
+    lines.push(`## :warning: Unable to run the verification tests. ${results.message || 'See the action run log for details.'}`);
+  }
+
+  const main = results.repositories.main;
+  const tests = results.repositories.tests;
+
+  if (main && tests) {
+    lines.push(`Tested \`${main.name}\` commit ${main.sha} using \`${tests.name}\` commit ${tests.sha}.`);
+  }
+
+  const failing = exports.failingTests(results);
+
+  if (failing.length > 0) {
+    const items = failing.slice(0, exports.testLimit).map(test => {
+      const name = `${surefire.className(test.classname)}.${surefire.methodName(test.name)}`;
+      const message = test.message ? `: ${test.message.split('\n')[0]}` : '';
+      return `- \`${name}\` ${test.outcome}${message}`;
+    });
+
+    if (failing.length > exports.testLimit) {
+      items.push(`- ... and ${failing.length - exports.testLimit} more`);
+    }
+
+    lines.push(`### Failing Tests\n\n${items.join('\n')}`);
+  }
+
+  if ('categories' in results.warnings) {
+    if (results.warnings.main > 0) {
+      lines.push(`### Compiler Warnings\n\n${javac.summarizeCategories(results.warnings.categories)}`);
+    }
+    else {
+      lines.push('No compiler warnings found.');
+    }
+  }
+
+  const artifacts = results.artifacts.map(name => `"${name}"`).join(', ');
+  const run = `[action run #${github.context.runNumber}](${utils.runUrl()})`;
+  lines.push(artifacts ? `See the ${run} for details and the ${artifacts} artifacts.` : `See the ${run} for details.`);
+
+  return lines.join('\n\n');
+}
+
+/*
+ * Creates or updates the results comment on the pull request. Only one
+ * comment is kept; reruns replace the comment from earlier runs.
+ */
+exports.updateComment = async function(octokit, states, results) {
+  const repo = github.context.repo;
+
+  const comments = await utils.retry(() => octokit.paginate(octokit.issues.listComments, {
+    owner: repo.owner,
+    repo: repo.repo,
+    issue_number: states.pull,
+    per_page: 100
+  }), {title: 'Listing pull request comments'});
+
+  const body = exports.createBody(states, results);
+  const found = comments.find(comment => comment.body && comment.body.includes(exports.marker));
+
+  if (found !== undefined) {
+    const update = await utils.retry(() => octokit.issues.updateComment({
+      owner: repo.owner,
+      repo: repo.repo,
+      comment_id: found.id,
+      body: body
+    }), {title: 'Updating pull request comment'});
+
+    core.info(`Updated comment ${found.id} on pull request #${states.pull}.`);
+    return update;
+  }
+
+  const create = await utils.retry(() => octokit.issues.createComment({
+    owner: repo.owner,
+    repo: repo.repo,
+    issue_number: states.pull,
+    body: body
+  }), {title: 'Creating pull request comment'});
+
+  core.info(`Created comment ${create.data.id} on pull request #${states.pull}.`);
+  return create;
+}
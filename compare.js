@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const jsdiff = require('diff');
+const utils = require('./utils.js');
+
+exports.actualDir = `${utils.testDir}/actual`;
+exports.expectedDir = `${utils.testDir}/expected`;
+exports.file = 'actual.patch';
+
+// limits how long a diff may take, since the output of a failing test can be
+// very large or very different from the expected output
+exports.maxEditLength = 10000;
+exports.diffTimeout = 5000;
+
+/*
+ * Lists all of the files in a directory and its subdirectories, relative to
+ * that directory.
+ */
+exports.listFiles = function(directory) {
+  const files = [];
+
+  if (!fs.existsSync(directory)) {
+    return files;
+  }
+
+  for (const entry of fs.readdirSync(directory, {withFileTypes: true})) {
+    if (entry.isDirectory()) {
+      files.push(...exports.listFiles(path.join(directory, entry.name)).map(file => path.join(entry.name, file)));
+    }
+    else if (entry.isFile()) {
+      files.push(entry.name);
+    }
+  }
+
+  return files.sort();
+}
+
+/*
+ * Finds the expected file for an actual file. Uses the same relative path
+ * if it exists, otherwise the first expected file with the same name.
+ * Returns undefined if there is no expected file.
+ */
+exports.findExpected = function(actual, expectedFiles) {
+  if (expectedFiles.includes(actual)) {
+    return actual;
+  }
+
+  const name = path.basename(actual);
+  return expectedFiles.find(file => path.basename(file) === name);
+}
+
+/*
+ * Limits a patch to a maximum number of lines. Returns the patch unchanged
+ * if the limit is not positive.
+ */
+exports.truncatePatch = function(patch, limit) {
+  const lines = patch.split('\n');
+
+  if (limit <= 0 || lines.length <= limit) {
+    return {patch: patch, truncated: false};
+  }
+
+  return {
+    patch: lines.slice(0, limit).join('\n') + `\n... (${lines.length - limit} more lines)`,
+    truncated: true
+  };
+}
+
+/*
+ * Compares every actual output file with its expected file, returning the
+ * unified diff for each file that does not match. The patch is null if there
+ * is no expected file, or if the files are too different to diff within the
+ * edit length and time limits.
+ */
+exports.compareFiles = function(actualDir = exports.actualDir, expectedDir = exports.expectedDir) {
+  const expectedFiles = exports.listFiles(expectedDir);
+  const diffs = [];
+
+  for (const actual of exports.listFiles(actualDir)) {
+    const expected = exports.findExpected(actual, expectedFiles);
+
+    if (expected === undefined) {
+      diffs.push({actual: actual, expected: null, patch: null});
+      continue;
+    }
+
+    const actualText = fs.readFileSync(path.join(actualDir, actual), 'utf8');
+    const expectedText = fs.readFileSync(path.join(expectedDir, expected), 'utf8');
+
+    if (actualText === expectedText) {
+      continue;
+    }
+
+    const structured = jsdiff.structuredPatch(
+      `expected/${expected}`, `actual/${actual}`, expectedText, actualText, '', '',
+      {maxEditLength: exports.maxEditLength, timeout: exports.diffTimeout}
+    );
+
+    // the diff gives up and returns undefined when it reaches either limit
+    const patch = structured === undefined ? null : jsdiff.formatPatch(structured);
+    diffs.push({actual: actual, expected: expected, patch: patch});
+  }
+
+  return diffs;
+}
+
+/*
+ * Writes all of the diffs into a single patch file.
+ */
+exports.writePatch = function(diffs, file = exports.file) {
+  const text = diffs
+    .filter(diff => diff.patch !== null)
+    .map(diff => diff.patch)
+    .join('\n');
+
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+/*
+ * Creates a Markdown summary of the diffs, with each diff truncated to the
+ * line limit and at most the file limit diffs included.
+ */
+exports.summarizeDiffs = function(diffs, lineLimit, fileLimit) {
+  const lines = ['### Output Differences'];
+
+  for (const diff of diffs.slice(0, fileLimit > 0 ? fileLimit : diffs.length)) {
+    if (diff.expected === null) {
+      lines.push(`:grey_question: No expected file found for \`actual/${diff.actual}\`.`);
+      continue;
+    }
+
+    if (diff.patch === null) {
+      lines.push(`:x: \`actual/${diff.actual}\` does not match \`expected/${diff.expected}\`, but the files are too different to diff.`);
+      continue;
+    }
+
+    const truncated = exports.truncatePatch(diff.patch, lineLimit);
+
+    lines.push([
+      `<details><summary><code>actual/${diff.actual}</code> does not match <code>expected/${diff.expected}</code>${truncated.truncated ? ' (truncated)' : ''}</summary>`,
+      '',
+      '```diff',
+      truncated.patch.trimEnd(),
+      '```',
+      '</details>'
+    ].join('\n'));
+  }
+
+  if (fileLimit > 0 && diffs.length > fileLimit) {
+    lines.push(`Skipped ${diffs.length - fileLimit} more files. See the "Actual Output" artifact for all differences.`);
+  }
+
+  return lines.join('\n\n');
+}
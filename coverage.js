@@ -0,0 +1,153 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const xml2js = require('xml2js');
+const utils = require('./utils.js');
+
+exports.reportFile = `${utils.mainDir}/target/site/jacoco/jacoco.xml`;
+
+// source directory relative to the main repository (used for annotations)
+exports.sourceDir = 'src/main/java';
+
+// maximum number of uncovered method annotations
+exports.annotationLimit = 20;
+
+/*
+ * Returns the maven plugin prefix used to run a JaCoCo goal without changing
+ * the project pom.xml file.
+ */
+exports.plugin = function(version) {
+  return `org.jacoco:jacoco-maven-plugin:${version}`;
+}
+
+/*
+ * Converts the counter elements of a report element into an object mapping
+ * each lowercase counter type (line, branch, method, etc.) to its missed and
+ * covered counts.
+ */
+function parseCounters(element) {
+  const counters = {};
+
+  for (const counter of element.counter || []) {
+    counters[counter.$.type.toLowerCase()] = {
+      missed: parseInt(counter.$.missed) || 0,
+      covered: parseInt(counter.$.covered) || 0
+    };
+  }
+
+  // classes without branches do not have a branch counter
+  for (const type of ['line', 'branch', 'method']) {
+    if (!(type in counters)) {
+      counters[type] = {missed: 0, covered: 0};
+    }
+  }
+
+  return counters;
+}
+
+/*
+ * Parses a JaCoCo XML report into the line and branch coverage of each class,
+ * along with the methods of each class that were never run.
+ */
+exports.parseReport = async function(text) {
+  const xml = await xml2js.parseStringPromise(text);
+  const classes = [];
+
+  for (const pkg of xml.report.package || []) {
+    for (const element of pkg.class || []) {
+      const counters = parseCounters(element);
+      const directory = element.$.name.substring(0, element.$.name.lastIndexOf('/') + 1);
+
+      const methods = (element.method || [])
+        .filter(method => !method.$.name.startsWith('lambda$') && method.$.name !== '<clinit>')
+        .filter(method => parseCounters(method).method.covered === 0)
+        .map(method => ({
+          name: method.$.name === '<init>' ? element.$.name.split(/[/$]/).pop() : method.$.name,
+          line: parseInt(method.$.line) || 1
+        }));
+
+      classes.push({
+        name: element.$.name.split('/').join('.'),
+        source: element.$.sourcefilename ? `${directory}${element.$.sourcefilename}` : null,
+        line: counters.line,
+        branch: counters.branch,
+        uncovered: methods
+      });
+    }
+  }
+
+  const total = parseCounters(xml.report);
+
+  return {
+    line: total.line,
+    branch: total.branch,
+    classes: classes
+  };
+}
+
+/*
+ * Parses the JaCoCo XML report file. Returns undefined if there is no report
+ * (e.g. when the tests never ran).
+ */
+exports.parseReportFile = async function(file = exports.reportFile) {
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+
+  return exports.parseReport(fs.readFileSync(file, 'utf8'));
+}
+
+/*
+ * Returns the percent covered for a counter, or a dash if there is nothing
+ * to cover.
+ */
+exports.percent = function(counter) {
+  const total = counter.missed + counter.covered;
+  return total > 0 ? `${(100 * counter.covered / total).toFixed(1)}%` : '-';
+}
+
+/*
+ * Adds a notice annotation to the source of every method that was never run
+ * by the tests, up to the annotation limit.
+ */
+exports.annotateMethods = function(coverage) {
+  const methods = [];
+
+  for (const found of coverage.classes) {
+    if (found.source !== null) {
+      methods.push(...found.uncovered.map(method => ({classname: found.name, method: method, source: found.source})));
+    }
+  }
+
+  for (const uncovered of methods.slice(0, exports.annotationLimit)) {
+    core.notice(`The ${uncovered.method.name} method of ${uncovered.classname} was never run by the verification tests.`, {
+      title: 'Uncovered method',
+      file: `${exports.sourceDir}/${uncovered.source}`,
+      startLine: uncovered.method.line
+    });
+  }
+
+  if (methods.length > exports.annotationLimit) {
+    core.info(`Skipped ${methods.length - exports.annotationLimit} more uncovered method annotations.`);
+  }
+
+  return methods.length;
+}
+
+/*
+ * Creates a Markdown table of the line and branch coverage of each class.
+ */
+exports.summarizeCoverage = function(coverage) {
+  const rows = [
+    '| Class | Lines | Branches | Uncovered Methods |',
+    '|:------|------:|---------:|------------------:|'
+  ];
+
+  for (const found of coverage.classes) {
+    rows.push(`| \`${found.name}\` | ${exports.percent(found.line)} | ${exports.percent(found.branch)} | ${found.uncovered.length} |`);
+  }
+
+  const uncovered = coverage.classes.reduce((sum, found) => sum + found.uncovered.length, 0);
+  rows.push(`| **Total** | **${exports.percent(coverage.line)}** | **${exports.percent(coverage.branch)}** | **${uncovered}** |`);
+
+  return rows.join('\n');
+}
@@ -0,0 +1,346 @@
+const core = require('@actions/core');
+const github = require('@actions/github');
+const artifact = require('@actions/artifact');
+const fs = require('fs');
+const utils = require('./utils.js');
+const projects = require('./projects.js');
+const release = require('./release.js');
+const gating = require('./gating.js');
+
+// increment whenever the structure of the dashboard document changes
+exports.schema = 1;
+
+exports.artifact = 'Grading Dashboard';
+
+// supported report formats and the file each one is written to
+exports.formats = {
+  csv: 'dashboard.csv',
+  json: 'dashboard.json',
+  html: 'dashboard.html'
+};
+
+// columns of the csv and html reports
+exports.columns = [
+  {name: 'repository', title: 'Repository'},
+  {name: 'project', title: 'Project'},
+  {name: 'status', title: 'Status'},
+  {name: 'releases', title: 'Releases'},
+  {name: 'latest', title: 'Latest Release'},
+  {name: 'latestDate', title: 'Latest Release Date'},
+  {name: 'passing', title: 'Latest Passing Release'},
+  {name: 'passingDate', title: 'Latest Passing Release Date'},
+  {name: 'verified', title: 'Last Verified'}
+];
+
+/*
+ * Returns true if the action should create a grading dashboard instead of
+ * verifying a release.
+ */
+exports.isDashboard = function() {
+  return core.getInput('dashboard') !== '';
+}
+
+/*
+ * Parses the dashboard input into a list of report formats. Throws an error
+ * if a format is not supported.
+ */
+exports.parseFormats = function(input) {
+  const formats = `${input || ''}`.split(/[\s,]+/).filter(format => format).map(format => format.toLowerCase());
+
+  for (const format of formats) {
+    if (!(format in exports.formats)) {
+      throw new Error(`Unsupported dashboard format: ${format}. Supported formats are: ${Object.keys(exports.formats).join(', ')}.`);
+    }
+  }
+
+  return [...new Set(formats)];
+}
+
+/*
+ * Lists the names of the student repositories in an organization whose names
+ * match the pattern, excluding the test repository.
+ */
+exports.listRepositories = async function(octokit, org, pattern) {
+  let repositories = undefined;
+
+  try {
+    repositories = await utils.retry(() => octokit.paginate(octokit.repos.listForOrg, {
+      org: org,
+      type: 'all',
+      per_page: 100
+    }), {title: `Listing ${org} repositories`});
+  }
+  catch (error) {
+    throw new Error(`Unable to list ${org} repositories (${error.message.toLowerCase()}).`);
+  }
+
+  const matcher = new RegExp(pattern);
+
+  return repositories
+    .map(repository => repository.name)
+    .filter(name => name !== utils.testDir && matcher.test(name))
+    .sort();
+}
+
+/*
+ * Returns the recorded verification state of each published release of a
+ * repository, oldest first. Releases that do not match a project are skipped.
+ */
+exports.collectReleases = async function(octokit, org, repo, mapping) {
+  const releases = await utils.retry(() => octokit.paginate(octokit.repos.listReleases, {
+    owner: org,
+    repo: repo,
+    per_page: 100
+  }), {title: `Listing ${org}/${repo} releases`});
+
+  const collected = [];
+
+  for (const found of releases.filter(found => !found.draft)) {
+    const entry = projects.matchVersion(mapping, found.tag_name);
+
+    if (entry === undefined) {
+      continue;
+    }
+
+    const data = release.parseData(found.body);
+    const history = data !== undefined && Array.isArray(data.history) ? data.history : [];
+
+    collected.push({
+      tag: found.tag_name,
+      project: entry.project,
+      date: found.published_at || found.created_at,
+      passed: gating.parseResult(found.body),
+      verified: history.length > 0 ? history[0].date : null
+    });
+  }
+
+  return collected.sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+}
+
+/*
+ * Returns the status of a release: passed, failed, or unverified.
+ */
+function describeStatus(passed) {
+  return passed === undefined ? 'unverified' : passed ? 'passed' : 'failed';
+}
+
+/*
+ * Creates one dashboard row for each project of a repository, using the
+ * latest release and the latest passing release of the project. Projects
+ * without releases have the status none.
+ */
+exports.createRows = function(repo, releases, mapping) {
+  const order = [...new Set(mapping.map(entry => entry.project))];
+
+  return order.map(project => {
+    const found = releases.filter(entry => entry.project === project);
+    const latest = found.length > 0 ? found[found.length - 1] : undefined;
+    const passing = found.filter(entry => entry.passed === true).pop();
+
+    return {
+      repository: repo,
+      project: project,
+      status: latest === undefined ? 'none' : describeStatus(latest.passed),
+      releases: found.length,
+      latest: latest === undefined ? null : latest.tag,
+      latestDate: latest === undefined ? null : latest.date,
+      passing: passing === undefined ? null : passing.tag,
+      passingDate: passing === undefined ? null : passing.date,
+      verified: latest === undefined ? null : latest.verified
+    };
+  });
+}
+
+/*
+ * Quotes a csv value if it contains commas, quotes, or line breaks.
+ */
+function csvValue(value) {
+  const text = value === null || value === undefined ? '' : `${value}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/*
+ * Escapes text for html.
+ */
+function htmlValue(value) {
+  const text = value === null || value === undefined ? '' : `${value}`;
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/*
+ * Creates the csv report with one line per repository and project.
+ */
+exports.toCsv = function(rows) {
+  const lines = [exports.columns.map(column => column.name).join(',')];
+
+  for (const row of rows) {
+    lines.push(exports.columns.map(column => csvValue(row[column.name])).join(','));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/*
+ * Creates the html report, a standalone page with a table of every
+ * repository and project.
+ */
+exports.toHtml = function(document) {
+  const header = exports.columns.map(column => `<th>${htmlValue(column.title)}</th>`).join('');
+  const rows = document.rows.map(row => {
+    const cells = exports.columns.map(column => `<td>${htmlValue(row[column.name])}</td>`).join('');
+    return `<tr class="${htmlValue(row.status)}">${cells}</tr>`;
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${htmlValue(document.org)} Grading Dashboard</title>`,
+    '<style>',
+    'table { border-collapse: collapse; font-family: sans-serif; }',
+    'th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }',
+    '.passed { background: #e6ffed; } .failed { background: #ffeef0; } .unverified { background: #fffbdd; }',
+    '</style>',
+    '</head>',
+    '<body>',
+    `<h1>${htmlValue(document.org)} Grading Dashboard</h1>`,
+    `<p>Created ${htmlValue(document.created)} for ${document.repositories.length} repositories.</p>`,
+    '<table>',
+    `<tr>${header}</tr>`,
+    ...rows,
+    '</table>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/*
+ * Creates a Markdown table of the number of repositories with each status
+ * for every project.
+ */
+exports.summarizeDashboard = function(rows) {
+  const statuses = ['passed', 'failed', 'unverified', 'none'];
+
+  const lines = [
+    '| Project | Passed | Failed | Unverified | No Release |',
+    '|:--------|-------:|-------:|-----------:|-----------:|'
+  ];
+
+  for (const project of [...new Set(rows.map(row => row.project))]) {
+    const counts = statuses.map(status => rows.filter(row => row.project === project && row.status === status).length);
+    lines.push(`| ${project} | ${counts.join(' | ')} |`);
+  }
+
+  return lines.join('\n');
+}
+
+/*
+ * Walks every student repository in the organization and creates the
+ * grading dashboard from the verification state recorded in the release
+ * descriptions, then uploads the reports as an artifact. Used by the main
+ * phase instead of verifying a release.
+ */
+async function run() {
+  const token = core.getInput('token');
+  core.setSecret(token);
+
+  const octokit = github.getOctokit(token);
+
+  try {
+    // -----------------------------------------------
+    core.startGroup('Finding student repositories...');
+
+    const formats = exports.parseFormats(core.getInput('dashboard'));
+    const org = core.getInput('dashboard-org') || github.context.repo.owner;
+    const pattern = core.getInput('dashboard-pattern') || '.';
+
+    const mapping = await projects.loadMapping(octokit, org, utils.testDir);
+    const repositories = await exports.listRepositories(octokit, org, pattern);
+
+    core.info(`Found ${repositories.length} repositories in ${org} matching ${pattern}.`);
+    core.info('');
+    core.endGroup();
+    // -----------------------------------------------
+
+    // -----------------------------------------------
+    core.startGroup('Collecting release results...');
+
+    const rows = [];
+    const skipped = [];
+
+    for (const repo of repositories) {
+      try {
+        const releases = await exports.collectReleases(octokit, org, repo, mapping);
+        rows.push(...exports.createRows(repo, releases, mapping));
+        core.info(`Found ${releases.length} releases in ${org}/${repo}.`);
+      }
+      catch (error) {
+        skipped.push(repo);
+        utils.showWarning(`Unable to collect releases of ${org}/${repo}. ${error.message}`);
+      }
+    }
+
+    core.info('');
+    core.endGroup();
+    // -----------------------------------------------
+
+    // -----------------------------------------------
+    core.startGroup('Uploading dashboard...');
+
+    const document = {
+      schema: exports.schema,
+      org: org,
+      created: new Date().toISOString(),
+      repositories: repositories.filter(repo => !skipped.includes(repo)),
+      skipped: skipped,
+      rows: rows
+    };
+
+    const writers = {
+      csv: () => exports.toCsv(rows),
+      json: () => JSON.stringify(document, null, 2),
+      html: () => exports.toHtml(document)
+    };
+
+    const files = formats.map(format => {
+      fs.writeFileSync(exports.formats[format], writers[format]());
+      return exports.formats[format];
+    });
+
+    if (files.length > 0) {
+      const upload = await artifact.create().uploadArtifact(exports.artifact, files, '.');
+
+      if (upload.failedItems.length != 0) {
+        throw new Error(`Failed to upload: ${upload.failedItems.join(', ')}.`);
+      }
+
+      core.info(`Uploaded ${files.join(', ')} as the ${exports.artifact} artifact.`);
+    }
+
+    utils.writeSummary([
+      `## Grading Dashboard for ${org}`,
+      `Collected the releases of ${document.repositories.length} repositories${skipped.length > 0 ? ` (skipped ${skipped.length})` : ''}.`,
+      exports.summarizeDashboard(rows)
+    ].join('\n\n'));
+
+    core.setOutput('result', JSON.stringify(document));
+
+    core.info('');
+    core.endGroup();
+    // -----------------------------------------------
+  }
+  catch (error) {
+    utils.showError(`${error.message}\n`); // show error in group
+    core.endGroup();  // end group
+
+    // displays outside of group; always visible
+    core.setFailed(`Unable to create dashboard. ${error.message}`);
+  }
+  finally {
+    utils.checkWarnings('"Dashboard Test Project"');
+  }
+}
+
+exports.run = run;
@@ -0,0 +1,164 @@
+const utils = require('./utils.js');
+
+// milliseconds in a day, used to count the days a submission is late
+exports.day = 24 * 60 * 60 * 1000;
+
+// how a submission is classified relative to the deadline and cutoff
+exports.classifications = ['on-time', 'late', 'past-cutoff'];
+
+/*
+ * Checks and normalizes the deadline settings of a project mapping entry.
+ * Returns undefined if the entry has no deadline. Throws an error if the
+ * settings are not valid.
+ *
+ * deadline: date and time submissions are due (like 2021-09-24T23:59:59-07:00)
+ * cutoff: date and time after which late submissions are no longer accepted
+ *         (optional, must be after the deadline)
+ */
+exports.validateDeadline = function(entry, source) {
+  if (entry.deadline === undefined) {
+    if (entry.cutoff !== undefined) {
+      throw new Error(`${source} has a cutoff date without a deadline.`);
+    }
+
+    return undefined;
+  }
+
+  const deadline = Date.parse(entry.deadline);
+  const cutoff = entry.cutoff === undefined ? null : Date.parse(entry.cutoff);
+
+  if (isNaN(deadline)) {
+    throw new Error(`${source} has an invalid deadline date (${entry.deadline}).`);
+  }
+
+  if (cutoff !== null && isNaN(cutoff)) {
+    throw new Error(`${source} has an invalid cutoff date (${entry.cutoff}).`);
+  }
+
+  if (cutoff !== null && cutoff < deadline) {
+    throw new Error(`${source} has a cutoff date before its deadline.`);
+  }
+
+  return {
+    deadline: new Date(deadline).toISOString(),
+    cutoff: cutoff === null ? null : new Date(cutoff).toISOString()
+  };
+}
+
+/*
+ * Returns when the tag being verified was pushed, using the push event that
+ * started the run. Returns null if the run was not started by pushing that
+ * tag (like a batch run), since the event then describes a different push.
+ */
+exports.findPushTime = function(context) {
+  const payload = context.payload || {};
+  const repository = payload.repository || {};
+
+  if (context.eventName !== 'push' || payload.ref !== context.ref || !repository.pushed_at) {
+    return null;
+  }
+
+  // push events give the time in seconds since the epoch
+  const pushed = typeof repository.pushed_at === 'number' ? repository.pushed_at * 1000 : Date.parse(repository.pushed_at);
+  return isNaN(pushed) ? null : new Date(pushed).toISOString();
+}
+
+/*
+ * Looks up when the commit of a release tag was committed, when the release
+ * was published, and when the tag was pushed. The release time is null if the
+ * tag has no release, and the push time is null if the run was not started by
+ * pushing the tag. The created_at time of a release is the date of its
+ * commit, so it is not used here.
+ */
+exports.findTimes = async function(octokit, owner, repo, tag, context) {
+  const commit = await utils.retry(() => octokit.repos.getCommit({
+    owner: owner,
+    repo: repo,
+    ref: tag
+  }), {title: `Getting ${tag} commit`});
+
+  let published = null;
+
+  try {
+    const found = await utils.retry(() => octokit.repos.getReleaseByTag({
+      owner: owner,
+      repo: repo,
+      tag: tag
+    }), {title: `Getting ${tag} release`});
+
+    published = found.data.published_at || null;
+  }
+  catch (error) {
+    if (error.status !== 404) {
+      throw error;
+    }
+  }
+
+  return {
+    commit: commit.data.commit.committer.date,
+    release: published,
+    pushed: exports.findPushTime(context),
+    run: new Date().toISOString()
+  };
+}
+
+// times used to decide when a release was submitted, in order of preference
+exports.sources = [
+  {name: 'release', title: 'release publish time'},
+  {name: 'pushed', title: 'tag push time'},
+  {name: 'run', title: 'verification run time'}
+];
+
+/*
+ * Classifies a submission as on-time, late, or past-cutoff. Uses the release
+ * time if there is one, otherwise the time the tag was pushed, otherwise the
+ * time of the verification run. Commit times are never used, since they are
+ * set by the student's own computer. Late submissions include the number of
+ * days late (rounded up).
+ */
+exports.classify = function(times, settings) {
+  const source = exports.sources.find(other => times[other.name]);
+
+  if (source === undefined) {
+    throw new Error('Unable to find when the release was submitted.');
+  }
+
+  const submitted = times[source.name];
+  const late = Date.parse(submitted) - Date.parse(settings.deadline);
+
+  let classification = exports.classifications[0];
+
+  if (late > 0) {
+    const past = settings.cutoff !== null && Date.parse(submitted) > Date.parse(settings.cutoff);
+    classification = past ? exports.classifications[2] : exports.classifications[1];
+  }
+
+  return {
+    classification: classification,
+    days: late > 0 ? Math.ceil(late / exports.day) : 0,
+    submitted: new Date(submitted).toISOString(),
+    source: source.name,
+    commit: times.commit,
+    release: times.release,
+    deadline: settings.deadline,
+    cutoff: settings.cutoff
+  };
+}
+
+/*
+ * Describes a classified submission for the job summary and release
+ * description.
+ */
+exports.describeSubmission = function(submission) {
+  const source = exports.sources.find(other => other.name === submission.source);
+  const deadline = `${source === undefined ? '' : `using the ${source.title}, `}deadline ${submission.deadline}`;
+
+  switch (submission.classification) {
+    case 'on-time':
+      return `:calendar: Submitted on time at ${submission.submitted} (${deadline}).`;
+    case 'late':
+      return `:alarm_clock: Submitted ${submission.days} ${submission.days === 1 ? 'day' : 'days'} late at ${submission.submitted} (${deadline}).`;
+    default:
+      return `:no_entry_sign: Submitted past the cutoff at ${submission.submitted} (${deadline}, cutoff ${submission.cutoff}).`;
+  }
+}
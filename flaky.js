@@ -0,0 +1,133 @@
+const core = require('@actions/core');
+const surefire = require('./surefire.js');
+
+/*
+ * Policies for deciding whether verification passes when the only failing
+ * tests are flaky:
+ *
+ * fail: flaky tests still fail verification (the default)
+ * pass: verification passes if every failing test is flaky
+ */
+exports.policies = ['fail', 'pass'];
+
+/*
+ * Returns the number of times to re-run failed tests from the rerun-failed
+ * action input, or 0 (no re-runs) if the input is empty or not positive.
+ */
+exports.getReruns = function() {
+  const reruns = parseInt(core.getInput('rerun-failed'));
+  return reruns > 0 ? reruns : 0;
+}
+
+/*
+ * Returns the flaky-policy action input, or throws an error if the policy
+ * is not one of the supported policies.
+ */
+exports.getPolicy = function() {
+  const policy = core.getInput('flaky-policy') || exports.policies[0];
+
+  if (!exports.policies.includes(policy)) {
+    throw new Error(`Unknown flaky-policy: ${policy}. Valid policies are: ${exports.policies.join(', ')}.`);
+  }
+
+  return policy;
+}
+
+/*
+ * Returns a key that identifies a test method across test runs.
+ */
+exports.testKey = function(test) {
+  return `${test.classname}#${surefire.methodName(test.name)}`;
+}
+
+/*
+ * Returns the failed and errored tests.
+ */
+exports.failedTests = function(tests) {
+  return tests.filter(test => test.outcome === 'failed' || test.outcome === 'errored');
+}
+
+/*
+ * Creates the surefire -Dtest filter that selects only the given test
+ * methods, like Project1Test$Output#testSimple+testEmpty.
+ */
+exports.testFilter = function(tests) {
+  const methods = new Map();
+
+  for (const test of tests) {
+    const classname = test.classname.substring(test.classname.lastIndexOf('.') + 1);
+
+    if (!methods.has(classname)) {
+      methods.set(classname, []);
+    }
+
+    const method = surefire.methodName(test.name);
+
+    if (!methods.get(classname).includes(method)) {
+      methods.get(classname).push(method);
+    }
+  }
+
+  return Array.from(methods.entries())
+    .map(([classname, names]) => `${classname}#${names.join('+')}`)
+    .join(',');
+}
+
+/*
+ * Classifies each failed test using the outcomes of the re-runs. A test is
+ * flaky if it passed in at least one re-run, and failing otherwise (which
+ * includes tests missing from the re-run reports).
+ *
+ * failed: the failed tests from the verification run
+ * reruns: the list of test outcomes from each re-run
+ */
+exports.classifyTests = function(failed, reruns) {
+  return failed.map(test => {
+    const key = exports.testKey(test);
+    const outcomes = reruns.map(tests => {
+      const found = tests.find(other => exports.testKey(other) === key);
+      return found === undefined ? 'missing' : found.outcome;
+    });
+
+    const passes = outcomes.filter(outcome => outcome === 'passed').length;
+
+    return {
+      classname: test.classname,
+      name: test.name,
+      outcome: test.outcome,
+      reruns: outcomes,
+      passes: passes,
+      classification: passes > 0 ? 'flaky' : 'failing'
+    };
+  });
+}
+
+/*
+ * Returns true if verification passes under the policy, given the
+ * classified tests. Only called when the verification run failed.
+ */
+exports.applyPolicy = function(policy, classified) {
+  if (policy !== 'pass' || classified.length < 1) {
+    return false;
+  }
+
+  return classified.every(test => test.classification === 'flaky');
+}
+
+/*
+ * Creates a Markdown table of the classified tests.
+ */
+exports.summarizeTests = function(classified) {
+  const rows = [
+    '| Test | Classification | Re-runs Passed |',
+    '|:-----|:---------------|---------------:|'
+  ];
+
+  for (const test of classified) {
+    const name = `${surefire.className(test.classname)}.${surefire.methodName(test.name)}`;
+    const mark = test.classification === 'flaky' ? ':warning: Flaky' : ':x: Failing';
+    rows.push(`| \`${name}\` | ${mark} | ${test.passes} of ${test.reruns.length} |`);
+  }
+
+  return rows.join('\n');
+}
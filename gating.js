@@ -0,0 +1,156 @@
+const core = require('@actions/core');
+const projects = require('./projects.js');
+const release = require('./release.js');
+const utils = require('./utils.js');
+
+/*
+ * Parses a release version into its numeric parts, or returns undefined if
+ * the version is not of the form vMAJOR.MINOR.PATCH.
+ */
+exports.parseVersion = function(version) {
+  const matched = `${version}`.match(/^v(\d+)\.(\d+)\.(\d+)$/);
+  return matched === null ? undefined : matched.slice(1).map(x => parseInt(x));
+}
+
+/*
+ * Compares two parsed versions, returning a negative number, zero, or a
+ * positive number like a comparator.
+ */
+exports.compareVersions = function(first, second) {
+  for (let i = 0; i < 3; i++) {
+    if (first[i] !== second[i]) {
+      return first[i] - second[i];
+    }
+  }
+
+  return 0;
+}
+
+/*
+ * Parses the recorded verification result from a release body written by
+ * the cleanup phase. Returns true if the release passed, false if it failed,
+ * and undefined if it was never verified.
+ */
+exports.parseResult = function(body) {
+  if (!body) {
+    return undefined;
+  }
+
+  const data = release.parseData(body);
+
+  if (data !== undefined) {
+    return data.passed === true;
+  }
+
+  // fall back to descriptions written by earlier versions of the action
+  if (/verification tests of \S+ passed!/.test(body)) {
+    return true;
+  }
+
+  if (/verification tests of \S+ (failed\.|timed out)/.test(body)) {
+    return false;
+  }
+
+  return undefined;
+}
+
+/*
+ * Returns the recorded details of earlier releases, including the project and
+ * verification result of each one. Draft releases and the release being
+ * tested are excluded.
+ */
+exports.describeReleases = function(mapping, releases, version) {
+  return releases
+    .filter(release => !release.draft && release.tag_name !== version)
+    .map(release => {
+      const entry = projects.matchVersion(mapping, release.tag_name);
+
+      return {
+        tag: release.tag_name,
+        project: entry === undefined ? undefined : entry.project,
+        passed: exports.parseResult(release.body)
+      };
+    });
+}
+
+/*
+ * Checks the earlier releases against the release being tested and returns
+ * a list of problems (empty if the release may be tested). A release must be
+ * newer than every earlier release of the same project, and every project
+ * listed before it in the mapping must already have a passing release.
+ */
+exports.checkReleases = function(mapping, entry, version, earlier) {
+  const problems = [];
+  const current = exports.parseVersion(version);
+
+  if (current !== undefined) {
+    for (const release of earlier) {
+      const parsed = exports.parseVersion(release.tag);
+
+      if (release.project !== entry.project || parsed === undefined) {
+        continue;
+      }
+
+      const compared = exports.compareVersions(current, parsed);
+
+      if (compared === 0) {
+        problems.push(`Release ${version} reuses the version of earlier release ${release.tag}.`);
+      }
+      else if (compared < 0) {
+        problems.push(`Release ${version} must have a higher version number than earlier release ${release.tag} for project ${entry.project}.`);
+      }
+    }
+  }
+
+  const index = mapping.findIndex(other => other.project === entry.project);
+  const required = [...new Set(mapping.slice(0, index).map(other => other.project))];
+
+  for (const project of required) {
+    const found = earlier.filter(release => release.project === project);
+
+    if (!found.some(release => release.passed === true)) {
+      const details = found.length > 0
+        ? found.map(release => `${release.tag} ${release.passed === false ? 'failed' : 'was not verified'}`).join(', ')
+        : 'no releases found';
+
+      problems.push(`Project ${entry.project} requires a passing release of project ${project} first (${details}).`);
+    }
+  }
+
+  return problems;
+}
+
+/*
+ * Lists the earlier releases of the repository and throws an error
+ * explaining every problem found if the release may not be tested yet.
+ */
+exports.checkPrerequisites = async function(octokit, owner, repo, mapping, entry, version) {
+  let releases = undefined;
+
+  try {
+    releases = await utils.retry(() => octokit.paginate(octokit.repos.listReleases, {
+      owner: owner,
+      repo: repo,
+      per_page: 100
+    }), {title: `Listing ${owner}/${repo} releases`});
+  }
+  catch (error) {
+    throw new Error(`Unable to list ${owner}/${repo} releases (${error.message.toLowerCase()}).`);
+  }
+
+  const earlier = exports.describeReleases(mapping, releases, version);
+
+  for (const release of earlier) {
+    const result = release.passed === undefined ? 'not verified' : release.passed ? 'passed' : 'failed';
+    core.info(`Found release ${release.tag} for project ${release.project || 'unknown'} (${result}).`);
+  }
+
+  const problems = exports.checkReleases(mapping, entry, version, earlier);
+
+  if (problems.length > 0) {
+    throw new Error(`Release ${version} may not be tested yet. ${problems.join(' ')}`);
+  }
+
+  core.info(`Release ${version} meets all prerequisites.`);
+  return earlier;
+}
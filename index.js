@@ -1,10 +1,52 @@
 const core = require('@actions/core');
 const github = require('@actions/github');
 const utils = require('./utils.js');
+const surefire = require('./surefire.js');
+const result = require('./result.js');
+const javac = require('./javac.js');
+const flaky = require('./flaky.js');
+const coverage = require('./coverage.js');
+const inspection = require('./inspection.js');
+const benchmark = require('./benchmark.js');
+const jdks = require('./jdks.js');
+const sandbox = require('./sandbox.js');
+const batch = require('./batch.js');
+const dashboard = require('./dashboard.js');
+
+// states that must be restored from the pre phase
+exports.schema = {
+  complete: 'boolean',
+  mode: 'string',
+  owner: 'string',
+  mainRepo: 'string',
+  testRepo: 'string',
+  project: 'string',
+  version: 'string',
+  ref: 'string',
+  pull: 'number?',
+  tester: 'string',
+  maven: 'array',
+  inspection: 'object?',
+  benchmark: 'object?',
+  testKey: 'string',
+  testCache: 'string?'
+};
 
 async function run() {
+  if (dashboard.isDashboard()) {
+    await dashboard.run();
+    return;
+  }
+
+  if (batch.isBatch(github.context)) {
+    await batch.run();
+    return;
+  }
+
   const status = {}; // status of intermediate steps
   const states = {}; // things to remember between pre/main/post
+  const results = result.load(); // results to upload for other tools
+  const started = Date.now();
 
   const context = github.context;
 
@@ -17,7 +59,7 @@ async function run() {
     utils.showTitle('Verification Setup Phase');
 
     // must do or setup state is lost
-    utils.restoreStates(states);
+    utils.restoreStates(states, exports.schema);
 
     // -----------------------------------------------
     core.startGroup('Displaying environment setup...');
@@ -44,24 +86,79 @@ async function run() {
     core.endGroup();
     // -----------------------------------------------
 
+    // -----------------------------------------------
+    if ('inspection' in states) {
+      core.startGroup('Inspecting project main code...');
+
+      const violations = inspection.inspectSources(states.inspection);
+      const failing = violations.filter(violation => violation.level === 'fail');
+      results.inspection = violations;
+
+      core.info(`\nFound ${violations.length} inspection violations (${failing.length} failing).`);
+      core.info('');
+      core.endGroup();
+
+      // annotate AFTER ending group
+      inspection.annotateViolations(violations);
+
+      if (failing.length > 0) {
+        states.passed = false;
+        states.message = `Project ${states.project} code of ${states.version} failed ${failing.length} inspection rules and was not tested.`;
+
+        results.passed = states.passed;
+        results.message = states.message;
+
+        throw new Error(states.message);
+      }
+    }
+    // -----------------------------------------------
+
     // -----------------------------------------------
     core.startGroup('Compiling project main code...');
 
+    const compileTimeout = utils.getTimeout('compile-timeout');
+    const testTimeout = utils.getTimeout('test-timeout');
+
+    const reruns = flaky.getReruns();
+    const policy = flaky.getPolicy();
+    const matrix = jdks.parseJdks(core.getInput('jdks'));
+    const limits = sandbox.getLimits();
+
+    let compileStarted = Date.now();
+    let compileOutput = '';
+
     status.mainWarnings = await utils.checkExec('mvn', {
       param: ['-ntp', '-DcompileOptionXlint=-Xlint:all', '-DcompileOptionXdoclint=-Xdoclint:all/private', '-Dmaven.compiler.showWarnings=true', '-DcompileOptionFail=true', 'compile'],
       title: 'Compiling project main code (with warnings enabled)',
-      chdir: `${utils.mainDir}/`
+      chdir: `${utils.mainDir}/`,
+      timeout: compileTimeout,
+      listeners: {
+        stdout: (data) => { compileOutput += data.toString(); }
+      }
     });
 
+    result.time(results, 'warnings', compileStarted);
+
+    const warnings = javac.parseWarnings(compileOutput);
+    results.warnings.main = warnings.length;
+    results.warnings.categories = javac.countCategories(warnings);
+    core.info(`\nFound ${warnings.length} compiler warnings: ${JSON.stringify(results.warnings.categories)}`);
+
+    compileStarted = Date.now();
+
     status.mainCompile = await utils.checkExec('mvn', {
       param: ['-ntp', '-DcompileOptionXlint=-Xlint:none', '-DcompileOptionXdoclint=-Xdoclint:none', '-Dmaven.compiler.showWarnings=false', '-DcompileOptionFail=false', 'clean', 'compile'],
       title: 'Recompiling project main code (with warnings disabled)',
       error: 'Recompiling returned non-zero exit code',
-      chdir: `${utils.mainDir}/`
+      chdir: `${utils.mainDir}/`,
+      timeout: compileTimeout
     });
 
+    result.time(results, 'compile', compileStarted);
+
     if (status.mainWarnings != 0) {
       core.warning('Unable to compile code without warnings. This will not cause the tests to fail, but the warnings must be fixed before requesting code review.');
+      javac.annotateWarnings(warnings);
     }
 
     await utils.checkExec('ls', {
@@ -81,7 +178,8 @@ async function run() {
       param: ['-ntp', '"-DcompileOptionXlint=-Xlint:none"', '"-DcompileOptionXdoclint=-Xdoclint:none"', '-DcompileOptionFail=false', '-Dmaven.compiler.failOnWarning=false', '-Dmaven.compiler.showWarnings=false', 'test-compile'],
       title: 'Compiling project test code',
       error: 'Compiling returned non-zero exit code',
-      chdir: `${utils.mainDir}/`
+      chdir: `${utils.mainDir}/`,
+      timeout: compileTimeout
     });
 
     await utils.checkExec('ls', {
@@ -96,35 +194,294 @@ async function run() {
 
     utils.showTitle('Verification Testing Phase');
 
-    // -----------------------------------------------
-    core.startGroup('Running verification tests...');
-
     const tester = states.tester;
     const project = states.project;
     const version = states.version;
+    const maven = states.maven;
+
+    // fail early instead of running student code outside of the sandbox
+    if (limits !== undefined) {
+      await sandbox.check();
+    }
+
+    // -----------------------------------------------
+    if (matrix.length > 0) {
+      core.startGroup('Running verification tests with other JDKs...');
+
+      const matrixStarted = Date.now();
+
+      for (const jdk of matrix) {
+        results.jdks.push(await jdks.verify(jdk, {
+          tester: tester,
+          maven: maven,
+          compileTimeout: compileTimeout,
+          testTimeout: testTimeout,
+          limits: limits
+        }));
+      }
+
+      result.time(results, 'jdks', matrixStarted);
+
+      core.info('');
+      core.endGroup();
+    }
+    // -----------------------------------------------
 
-    status.verify = await utils.checkExec('mvn', {
-      param: ['-ntp', `-Dtest=${tester}`, '-DexcludedGroups=none()|!verify', 'test'],
+    // -----------------------------------------------
+    core.startGroup('Running verification tests...');
+
+    const verifyStarted = Date.now();
+
+    // instruments the verification run with the jacoco agent if enabled
+    const measure = core.getBooleanInput('coverage');
+    const jacoco = coverage.plugin(core.getInput('jacoco-version'));
+    const agent = measure ? [`${jacoco}:prepare-agent`] : [];
+
+    const verified = await sandbox.run('mvn', {
+      param: ['-ntp', `-Dtest=${tester}`, '-DexcludedGroups=none()|!verify', ...maven, ...agent, 'test'],
       title: 'Running verification tests',
-      chdir: `${utils.mainDir}/`
-    });
+      chdir: `${utils.mainDir}/`,
+      timeout: testTimeout
+    }, limits);
+
+    status.verify = verified.code;
+    result.time(results, 'verify', verifyStarted);
 
     states.passed = status.verify === 0;
     states.message = states.passed ? `All Project ${project} verification tests of ${version} passed!` : `One or more Project ${project} verification tests of ${version} failed.`;
 
+    if (status.verify === utils.timeoutCode) {
+      states.timedOut = 'verify';
+      states.message = `Project ${project} verification tests of ${version} timed out after ${testTimeout / 60} minutes.`;
+    }
+    else if (verified.reason !== undefined) {
+      states.limit = verified.reason;
+      states.message = `Project ${project} verification tests of ${version} ${sandbox.describeReason(verified.reason, limits)}.`;
+    }
+
+    results.passed = states.passed;
+    results.message = states.message;
+    results.timedOut = 'timedOut' in states ? states.timedOut : null;
+    results.limit = 'limit' in states ? states.limit : null;
+
+    if (jdks.dependsOnJdk(results.jdks, states.passed)) {
+      core.warning(`The verification tests ${states.passed ? 'passed' : 'failed'} with the default JDK, but not with every other JDK. See the job summary for the results of each JDK.`);
+    }
+
+    const verifyTests = await surefire.parseReports();
+    const verifyCounts = surefire.countTests(verifyTests);
+    states.verifyCounts = verifyCounts;
+    result.addTests(results, 'verify', verifyTests, verifyCounts);
+    core.info(`\nVerification test results: ${JSON.stringify(verifyCounts)}`);
+
     core.info('');
     core.endGroup();
     // -----------------------------------------------
 
+    // -----------------------------------------------
+    if (measure) {
+      try {
+        core.startGroup('Measuring code coverage...');
+
+        const coverageStarted = Date.now();
+
+        status.coverage = await utils.checkExec('mvn', {
+          param: ['-ntp', `${jacoco}:report`],
+          title: 'Generating coverage report',
+          error: 'Unable to generate coverage report',
+          chdir: `${utils.mainDir}/`,
+          timeout: compileTimeout
+        });
+
+        const measured = await coverage.parseReportFile();
+
+        if (measured === undefined) {
+          throw new Error(`Unable to find ${coverage.reportFile}.`);
+        }
+
+        result.time(results, 'coverage', coverageStarted);
+        results.coverage = measured;
+
+        core.info(`\nLine coverage: ${coverage.percent(measured.line)}, branch coverage: ${coverage.percent(measured.branch)}`);
+        status.uncovered = coverage.annotateMethods(measured);
+
+        core.info('');
+        core.endGroup();
+      }
+      catch (error) {
+        core.endGroup();
+        utils.showWarning(`Encountered issues measuring code coverage. ${error.message}`);
+      }
+    }
+    // -----------------------------------------------
+
+    // -----------------------------------------------
+    if (states.passed !== true && !('timedOut' in states) && !('limit' in states) && reruns > 0) {
+      core.startGroup('Re-running failed verification tests...');
+
+      const failed = flaky.failedTests(verifyTests);
+
+      if (failed.length > 0) {
+        const filter = flaky.testFilter(failed);
+        const backup = `${surefire.reportDir}-verify`;
+        const rerunTests = [];
+        const rerunStarted = Date.now();
+
+        // keep the verification reports for the report site
+        await utils.checkExec('mv', {
+          param: [surefire.reportDir, backup],
+          title: 'Saving verification test reports',
+          error: 'Unable to save verification test reports'
+        });
+
+        status.reruns = [];
+
+        for (let rerun = 1; rerun <= reruns; rerun++) {
+          await utils.checkExec('rm', {
+            param: ['-rf', surefire.reportDir],
+            title: 'Removing earlier test reports',
+            error: 'Unable to remove earlier test reports'
+          });
+
+          const rerunResult = await sandbox.run('mvn', {
+            param: ['-ntp', `-Dtest=${filter}`, '-DexcludedGroups=none()|!verify', '-Dsurefire.failIfNoSpecifiedTests=false', ...maven, 'test'],
+            title: `Re-running ${failed.length} failed verification tests (${rerun} of ${reruns})`,
+            chdir: `${utils.mainDir}/`,
+            timeout: testTimeout
+          }, limits);
+
+          const code = rerunResult.code;
+
+          status.reruns.push(code);
+          rerunTests.push(await surefire.parseReports());
+
+          if (code === utils.timeoutCode) {
+            core.info('Stopping; re-run timed out.');
+            break;
+          }
+        }
+
+        await utils.checkExec('rm', {
+          param: ['-rf', surefire.reportDir],
+          title: 'Removing re-run test reports',
+          error: 'Unable to remove re-run test reports'
+        });
+
+        await utils.checkExec('mv', {
+          param: [backup, surefire.reportDir],
+          title: 'Restoring verification test reports',
+          error: 'Unable to restore verification test reports'
+        });
+
+        result.time(results, 'reruns', rerunStarted);
+
+        results.flaky = flaky.classifyTests(failed, rerunTests);
+        states.flaky = results.flaky.filter(test => test.classification === 'flaky').length;
+        core.info(`\nFound ${states.flaky} flaky tests out of ${failed.length} failed tests using the ${policy} policy.`);
+
+        if (flaky.applyPolicy(policy, results.flaky)) {
+          states.passed = true;
+          states.message = `All Project ${project} verification tests of ${version} passed after re-running ${states.flaky} flaky tests.`;
+
+          results.passed = states.passed;
+          results.message = states.message;
+        }
+      }
+      else {
+        core.info('Skipping; no failed tests found in the test reports.');
+      }
+
+      core.info('');
+      core.endGroup();
+
+      // check for flaky tests AFTER ending group
+      if (states.flaky > 0) {
+        core.warning(`Found ${states.flaky} flaky tests that passed when re-run. Flaky tests usually mean there are timing or concurrency issues in the code.`);
+      }
+    }
+    // -----------------------------------------------
+
+    // -----------------------------------------------
+    if (states.passed === true && 'benchmark' in states && core.getBooleanInput('benchmark')) {
+      core.startGroup('Running benchmark...');
+
+      const benchmarkStarted = Date.now();
+      let measured = undefined;
+
+      try {
+        const classpath = await benchmark.findClasspath(compileTimeout);
+        measured = await benchmark.measure(states.benchmark, classpath, testTimeout, limits);
+      }
+      catch (error) {
+        // the verification tests passed, but the release cannot pass without the benchmark
+        states.passed = false;
+        states.message = `Project ${project} verification tests of ${version} passed, but the benchmark could not run. ${error.message}`;
+
+        results.passed = states.passed;
+        results.message = states.message;
+        result.time(results, 'benchmark', benchmarkStarted);
+
+        throw new Error(states.message);
+      }
+
+      result.time(results, 'benchmark', benchmarkStarted);
+      results.benchmark = benchmark.summarize(states.benchmark, measured);
+
+      core.info(`\nBenchmark speedup: ${results.benchmark.speedup}x (required: ${results.benchmark.required === null ? 'none' : `${results.benchmark.required}x`})`);
+      core.info('');
+      core.endGroup();
+
+      if (!results.benchmark.passed) {
+        states.passed = false;
+        states.message = `Project ${project} verification tests of ${version} passed, but the multithreaded code was only ${results.benchmark.speedup}x faster (at least ${results.benchmark.required}x required).`;
+
+        results.passed = states.passed;
+        results.message = states.message;
+
+        throw new Error(states.message);
+      }
+    }
+    // -----------------------------------------------
+
     // -----------------------------------------------
     if (states.passed !== true) {
       core.startGroup('Running debug tests...');
 
-      status.debug = await utils.checkExec('mvn', {
-        param: ['-ntp', `-Dtest=${tester}`, 'test'],
-        title: 'Running debug tests',
-        chdir: `${utils.mainDir}/`
-      });
+      let debugTests = verifyTests;
+
+      if ('timedOut' in states) {
+        core.info('Skipping; verification tests timed out.');
+      }
+      else if ('limit' in states) {
+        core.info(`Skipping; verification tests reached the ${states.limit} sandbox limit.`);
+      }
+      else {
+        const debugStarted = Date.now();
+
+        const debugged = await sandbox.run('mvn', {
+          param: ['-ntp', `-Dtest=${tester}`, ...maven, 'test'],
+          title: 'Running debug tests',
+          chdir: `${utils.mainDir}/`,
+          timeout: testTimeout
+        }, limits);
+
+        status.debug = debugged.code;
+
+        result.time(results, 'debug', debugStarted);
+
+        if (status.debug === utils.timeoutCode) {
+          states.timedOut = 'debug';
+          results.timedOut = states.timedOut;
+        }
+
+        debugTests = await surefire.parseReports();
+        const debugCounts = surefire.countTests(debugTests);
+        states.debugCounts = debugCounts;
+        result.addTests(results, 'debug', debugTests, debugCounts);
+        core.info(`\nDebug test results: ${JSON.stringify(debugCounts)}`);
+      }
+
+      surefire.annotateTests(debugTests);
 
       throw new Error(states.message);
 
@@ -146,8 +503,13 @@ async function run() {
   }
   finally {
     utils.showTitle('Verification Cleanup Phase');
+
     utils.saveStates(states);
 
+    result.time(results, 'main', started);
+    result.save(results);
+    result.setOutputs(results);
+
     core.startGroup('Logging verify status...');
     core.info(`status: ${JSON.stringify(status)}`);
     core.info(`states: ${JSON.stringify(states)}`);
@@ -157,4 +519,9 @@ async function run() {
   }
 }
 
-run();
+// only run automatically when executed by the action runner
+if (require.main === module) {
+  run();
+}
+
+exports.run = run;
@@ -0,0 +1,257 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const utils = require('./utils.js');
+const compare = require('./compare.js');
+
+// source directory relative to the main repository (used for annotations)
+exports.sourceDir = 'src/main/java';
+
+// whether a violation only warns or fails verification before testing
+exports.levels = ['warn', 'fail'];
+
+// rules that list patterns
+exports.lists = ['banned-imports', 'banned-calls', 'required-classes', 'required-packages'];
+
+/*
+ * Checks and normalizes the inspection rules of a project mapping entry.
+ * Rules that list patterns accept strings or objects with pattern, level,
+ * and message properties. Throws an error if the rules are not valid.
+ *
+ * level: default level of every rule (warn or fail, default warn)
+ * banned-imports: imports that may not be used (e.g. java.lang.reflect.*)
+ * banned-calls: methods that may not be called (e.g. System.exit)
+ * required-classes: classes that must exist (e.g. edu.usfca.cs272.Driver)
+ * required-packages: packages that must contain at least one class
+ * max-lines: maximum number of lines in each source file
+ */
+exports.validateRules = function(rules, source) {
+  if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`${source} must list inspection rules as an object.`);
+  }
+
+  const level = rules.level === undefined ? exports.levels[0] : `${rules.level}`;
+
+  if (!exports.levels.includes(level)) {
+    throw new Error(`${source} has an invalid inspection level (${level}).`);
+  }
+
+  const normalized = {level: level};
+
+  for (const list of exports.lists) {
+    const entries = rules[list] === undefined ? [] : rules[list];
+
+    if (!Array.isArray(entries)) {
+      throw new Error(`${source} must list ${list} inspection rules as an array.`);
+    }
+
+    normalized[list] = entries.map(entry => {
+      const rule = typeof entry === 'object' && entry !== null ? entry : {pattern: entry};
+
+      if (rule.pattern === undefined || rule.pattern === null || `${rule.pattern}`.length < 1) {
+        throw new Error(`${source} has a ${list} inspection rule without a pattern.`);
+      }
+
+      const ruleLevel = rule.level === undefined ? level : `${rule.level}`;
+
+      if (!exports.levels.includes(ruleLevel)) {
+        throw new Error(`${source} has an invalid ${list} inspection level (${ruleLevel}).`);
+      }
+
+      return {
+        pattern: `${rule.pattern}`,
+        level: ruleLevel,
+        message: rule.message === undefined ? null : `${rule.message}`
+      };
+    });
+  }
+
+  if (rules['max-lines'] !== undefined && !(parseInt(rules['max-lines']) > 0)) {
+    throw new Error(`${source} has an invalid max-lines inspection rule (${rules['max-lines']}).`);
+  }
+
+  normalized['max-lines'] = rules['max-lines'] === undefined ? null : parseInt(rules['max-lines']);
+  return normalized;
+}
+
+/*
+ * Replaces comments and string literals with spaces (keeping line breaks) so
+ * that banned calls mentioned in comments or strings are not reported.
+ */
+exports.stripComments = function(text) {
+  return text.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/g,
+    matched => matched.replace(/[^\n]/g, ' '));
+}
+
+/*
+ * Returns the line number of a character index in some text.
+ */
+function lineOf(text, index) {
+  return text.substring(0, index).split('\n').length;
+}
+
+/*
+ * Returns true if an import (like java.util.List) matches an import pattern,
+ * where a trailing * matches any class or subpackage.
+ */
+exports.matchImport = function(name, pattern) {
+  if (pattern.endsWith('*')) {
+    return name.startsWith(pattern.slice(0, -1));
+  }
+
+  return name === pattern;
+}
+
+/*
+ * Creates a regular expression that finds calls of a method pattern like
+ * System.exit or printStackTrace, allowing whitespace around the dots.
+ */
+exports.callPattern = function(pattern) {
+  const parts = pattern.split('.').map(part => part.replace(/[^\w$]/g, '\\$&'));
+  return new RegExp(`(?<![\\w$])${parts.join('\\s*\\.\\s*')}\\s*\\(`, 'g');
+}
+
+/*
+ * Inspects a single source file, returning the banned import, banned call,
+ * and file size violations found.
+ *
+ * file: the path of the file relative to the source directory
+ * text: the contents of the file
+ * rules: the normalized inspection rules
+ */
+exports.inspectFile = function(file, text, rules) {
+  const violations = [];
+  const code = exports.stripComments(text);
+  const source = `${exports.sourceDir}/${file}`;
+
+  const imports = /^\s*import\s+(?:static\s+)?([\w$.*]+)\s*;/gm;
+  let matched = null;
+
+  while ((matched = imports.exec(code)) !== null) {
+    const name = matched[1];
+    const rule = rules['banned-imports'].find(rule => exports.matchImport(name, rule.pattern));
+
+    if (rule !== undefined) {
+      violations.push({
+        file: source,
+        line: lineOf(code, matched.index + matched[0].indexOf('import')),
+        rule: 'banned-imports',
+        level: rule.level,
+        message: rule.message || `Importing ${name} is not allowed.`
+      });
+    }
+  }
+
+  for (const rule of rules['banned-calls']) {
+    const calls = exports.callPattern(rule.pattern);
+
+    while ((matched = calls.exec(code)) !== null) {
+      violations.push({
+        file: source,
+        line: lineOf(code, matched.index),
+        rule: 'banned-calls',
+        level: rule.level,
+        message: rule.message || `Calling ${rule.pattern} is not allowed.`
+      });
+    }
+  }
+
+  const lines = text.split('\n').length;
+
+  if (rules['max-lines'] !== null && lines > rules['max-lines']) {
+    violations.push({
+      file: source,
+      line: rules['max-lines'] + 1,
+      rule: 'max-lines',
+      level: rules.level,
+      message: `File has ${lines} lines, which is more than the limit of ${rules['max-lines']} lines. Consider breaking it into smaller classes.`
+    });
+  }
+
+  return violations;
+}
+
+/*
+ * Inspects every Java source file in a directory using the rules, returning
+ * all of the violations found (including missing required classes and
+ * packages, which have no line number).
+ */
+exports.inspectSources = function(rules, directory = `${utils.mainDir}/${exports.sourceDir}`) {
+  const files = compare.listFiles(directory).filter(file => file.endsWith('.java'));
+  const violations = [];
+
+  for (const file of files) {
+    const text = fs.readFileSync(path.join(directory, file), 'utf8');
+    violations.push(...exports.inspectFile(file, text, rules));
+  }
+
+  for (const rule of rules['required-classes']) {
+    const file = `${rule.pattern.split('.').join('/')}.java`;
+
+    if (!files.includes(file)) {
+      violations.push({
+        file: null,
+        line: null,
+        rule: 'required-classes',
+        level: rule.level,
+        message: rule.message || `Required class ${rule.pattern} was not found in ${exports.sourceDir}/${file}.`
+      });
+    }
+  }
+
+  for (const rule of rules['required-packages']) {
+    const prefix = `${rule.pattern.split('.').join('/')}/`;
+
+    if (!files.some(file => file.startsWith(prefix) && !file.substring(prefix.length).includes('/'))) {
+      violations.push({
+        file: null,
+        line: null,
+        rule: 'required-packages',
+        level: rule.level,
+        message: rule.message || `Required package ${rule.pattern} was not found in ${exports.sourceDir}/${prefix}.`
+      });
+    }
+  }
+
+  return violations;
+}
+
+/*
+ * Adds a warning or error annotation for every violation, depending on the
+ * level of the violated rule.
+ */
+exports.annotateViolations = function(violations) {
+  for (const violation of violations) {
+    const properties = {title: `Inspection ${violation.level === 'fail' ? 'failed' : 'warning'}: ${violation.rule}`};
+
+    if (violation.file !== null) {
+      properties.file = violation.file;
+      properties.startLine = violation.line;
+    }
+
+    if (violation.level === 'fail') {
+      core.error(violation.message, properties);
+    }
+    else {
+      core.warning(violation.message, properties);
+    }
+  }
+}
+
+/*
+ * Creates a Markdown table of the violations.
+ */
+exports.summarizeViolations = function(violations) {
+  const rows = [
+    '| Level | Rule | Location | Message |',
+    '|:------|:-----|:---------|:--------|'
+  ];
+
+  for (const violation of violations) {
+    const mark = violation.level === 'fail' ? ':x: Fail' : ':warning: Warn';
+    const location = violation.file === null ? '-' : `\`${violation.file}:${violation.line}\``;
+    rows.push(`| ${mark} | \`${violation.rule}\` | ${location} | ${violation.message} |`);
+  }
+
+  return rows.join('\n');
+}
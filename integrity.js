@@ -0,0 +1,84 @@
+const fs = require('fs');
+const utils = require('./utils.js');
+
+/*
+ * Returns the files in a git repository that differ from the checked out
+ * commit, including untracked and ignored files (like leftover actual output
+ * files). Each entry is a line of git status --porcelain output.
+ */
+exports.changedFiles = async function(directory) {
+  const output = await utils.getOutput('git', {
+    param: ['status', '--porcelain', '--untracked-files=all', '--ignored'],
+    title: `Checking ${directory} for changed files`,
+    error: `Unable to check ${directory} git status`,
+    chdir: `${directory}/`
+  });
+
+  return output.split('\n').map(line => line.trim()).filter(line => line);
+}
+
+/*
+ * Removes the actual output files written by the tests of earlier runs. They
+ * are not part of the test data, and would otherwise count as changed files.
+ */
+exports.removeOutput = async function(directory) {
+  await utils.checkExec('rm', {
+    param: ['-rf', `${directory}/actual`],
+    title: `Removing ${directory} actual output files`,
+    error: `Unable to remove ${directory} actual output files`
+  });
+}
+
+/*
+ * Checks whether a restored git repository may be used as is, returning the
+ * problems found (or an empty list if the repository is healthy).
+ *
+ * directory: the directory of the repository
+ * hash: the commit the repository is expected to have checked out
+ */
+exports.checkRepository = async function(directory, hash) {
+  const problems = [];
+
+  if (!fs.existsSync(directory)) {
+    problems.push(`unable to find ${directory} directory`);
+    return problems; // nothing else to check
+  }
+
+  const fsck = await utils.checkExec('git', {
+    param: ['fsck', '--no-progress'],
+    title: `Checking ${directory} git objects`,
+    chdir: `${directory}/`
+  });
+
+  if (fsck !== 0) {
+    problems.push(`git fsck failed with exit code ${fsck}`);
+    return problems; // other checks are unreliable with corrupt objects
+  }
+
+  const changed = await exports.changedFiles(directory);
+
+  if (changed.length > 0) {
+    problems.push(`found ${changed.length} changed files (like ${changed[0].replace(/^\S+\s+/, '')})`);
+  }
+
+  const head = await utils.getOutput('git', {
+    param: ['rev-parse', 'HEAD'],
+    title: `Getting ${directory} commit`,
+    error: `Unable to get ${directory} commit`,
+    chdir: `${directory}/`
+  });
+
+  if (head !== hash) {
+    problems.push(`expected commit ${hash} but found ${head}`);
+  }
+
+  return problems;
+}
+
+/*
+ * Describes the health of a restored cache: healthy if it had no problems, or
+ * repaired if it was replaced with a fresh clone.
+ */
+exports.describeHealth = function(problems) {
+  return problems.length > 0 ? 'repaired' : 'healthy';
+}
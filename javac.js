@@ -0,0 +1,95 @@
+const core = require('@actions/core');
+const utils = require('./utils.js');
+
+/*
+ * Matches compiler warnings in the maven output, for example:
+ * [WARNING] /path/project-main/src/main/java/Driver.java:[12,8] [rawtypes] found raw type: List
+ */
+const regex = /^\[WARNING\] (.+\.java):\[(\d+),(\d+)\] (?:\[([\w-]+)\] )?(.+)$/;
+
+/*
+ * Returns the path of a source file relative to the project main directory,
+ * which is also the path within the student repository.
+ */
+exports.relativePath = function(file) {
+  const marker = `${utils.mainDir}/`;
+  const index = file.lastIndexOf(marker);
+  return index < 0 ? file : file.substring(index + marker.length);
+}
+
+/*
+ * Parses the compiler warnings from maven output. Duplicate warnings are
+ * removed since maven may output the same warning more than once. Warnings
+ * without a lint category (like most doclint warnings) use "other".
+ */
+exports.parseWarnings = function(output) {
+  const warnings = [];
+  const seen = new Set();
+
+  for (const line of output.split(/\r?\n/)) {
+    const matched = line.trim().match(regex);
+
+    if (matched === null || seen.has(matched[0])) {
+      continue;
+    }
+
+    seen.add(matched[0]);
+
+    warnings.push({
+      file: exports.relativePath(matched[1]),
+      line: parseInt(matched[2]),
+      column: parseInt(matched[3]),
+      category: matched[4] || 'other',
+      message: matched[5]
+    });
+  }
+
+  return warnings;
+}
+
+/*
+ * Counts the number of warnings in each lint category.
+ */
+exports.countCategories = function(warnings) {
+  const counts = {};
+
+  for (const warning of warnings) {
+    counts[warning.category] = (counts[warning.category] || 0) + 1;
+  }
+
+  return counts;
+}
+
+/*
+ * Adds a warning annotation on the student source code for each warning.
+ */
+exports.annotateWarnings = function(warnings) {
+  for (const warning of warnings) {
+    core.warning(warning.message, {
+      title: `Compiler warning [${warning.category}]`,
+      file: warning.file,
+      startLine: warning.line,
+      startColumn: warning.column
+    });
+  }
+}
+
+/*
+ * Creates a Markdown table of the number of warnings in each category.
+ */
+exports.summarizeCategories = function(counts) {
+  const rows = [
+    '| Warning Category | Count |',
+    '|:-----------------|------:|'
+  ];
+
+  let total = 0;
+
+  for (const category of Object.keys(counts).sort()) {
+    rows.push(`| \`${category}\` | ${counts[category]} |`);
+    total += counts[category];
+  }
+
+  rows.push(`| **Total** | **${total}** |`);
+  return rows.join('\n');
+}
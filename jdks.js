@@ -0,0 +1,178 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const utils = require('./utils.js');
+const surefire = require('./surefire.js');
+const sandbox = require('./sandbox.js');
+
+/*
+ * Parses the jdks action input into a list of JDK installations. Entries are
+ * separated by commas or new lines, and are either the home directory of a
+ * JDK or a name followed by = and the home directory (like 17=/opt/jdk-17).
+ * Throws an error if an entry is not a directory.
+ */
+exports.parseJdks = function(input) {
+  const entries = `${input || ''}`.split(/[,\n]/).map(entry => entry.trim()).filter(entry => entry);
+  const jdks = [];
+
+  for (const entry of entries) {
+    const split = entry.indexOf('=');
+    const home = split < 0 ? entry : entry.substring(split + 1).trim();
+
+    if (!fs.existsSync(home) || !fs.statSync(home).isDirectory()) {
+      throw new Error(`Unable to find JDK home directory: ${home}`);
+    }
+
+    const version = exports.readVersion(home);
+    const name = split < 0 ? (version || path.basename(home)) : entry.substring(0, split).trim();
+
+    if (jdks.some(jdk => jdk.name === name)) {
+      throw new Error(`JDK ${name} is listed more than once.`);
+    }
+
+    jdks.push({name: name, home: home, version: version});
+  }
+
+  return jdks;
+}
+
+/*
+ * Returns the Java version from the release file of a JDK home directory,
+ * or null if it cannot be found.
+ */
+exports.readVersion = function(home) {
+  const file = path.join(home, 'release');
+
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const matched = fs.readFileSync(file, 'utf8').match(/^JAVA_VERSION="?([^"\n]+)"?$/m);
+  return matched === null ? null : matched[1];
+}
+
+/*
+ * Returns the directory of the copy of the main code used for a JDK, so that
+ * each JDK has its own target directory. The copy is next to the main
+ * directory so relative paths to the test repository still work.
+ */
+exports.copyDir = function(jdk) {
+  return `${utils.mainDir}-jdk-${jdk.name.replace(/[^\w.-]/g, '_')}`;
+}
+
+/*
+ * Returns the environment variables that make maven use a JDK.
+ */
+exports.environment = function(jdk) {
+  return {
+    JAVA_HOME: jdk.home,
+    PATH: `${path.join(jdk.home, 'bin')}${path.delimiter}${process.env.PATH}`
+  };
+}
+
+/*
+ * Compiles and runs the verification tests using a JDK in a copy of the main
+ * code, returning the outcome. Failures are part of the outcome instead of
+ * thrown errors, so one JDK does not stop the others.
+ *
+ * settings.tester: the glob of test classes to run
+ * settings.maven: extra arguments to pass to maven when running tests
+ * settings.compileTimeout: time limit in seconds for compiling
+ * settings.testTimeout: time limit in seconds for the tests
+ * settings.limits: the sandbox limits, or undefined if the sandbox is disabled
+ */
+exports.verify = async function(jdk, settings) {
+  const copy = exports.copyDir(jdk);
+  const env = exports.environment(jdk);
+
+  const outcome = {
+    name: jdk.name,
+    home: jdk.home,
+    version: jdk.version,
+    compiled: false,
+    passed: false,
+    timedOut: false,
+    limit: null,
+    counts: null
+  };
+
+  await utils.checkExec('rm', {
+    param: ['-rf', copy],
+    title: `Removing earlier ${copy} directory`,
+    error: `Unable to remove ${copy} directory`
+  });
+
+  await utils.checkExec('cp', {
+    param: ['-R', utils.mainDir, copy],
+    title: `Copying ${utils.mainDir} into ${copy}`,
+    error: `Unable to copy ${utils.mainDir} directory`
+  });
+
+  await utils.checkExec('rm', {
+    param: ['-rf', `${copy}/target`],
+    title: `Removing ${copy} target directory`,
+    error: `Unable to remove ${copy} target directory`
+  });
+
+  const compile = await utils.checkExec('mvn', {
+    param: ['-ntp', '-DcompileOptionFail=false', '-Dmaven.compiler.failOnWarning=false', '-Dmaven.compiler.showWarnings=false', 'test-compile'],
+    title: `Compiling with JDK ${jdk.name}`,
+    chdir: `${copy}/`,
+    timeout: settings.compileTimeout,
+    env: env
+  });
+
+  if (compile !== 0) {
+    outcome.timedOut = compile === utils.timeoutCode;
+    return outcome;
+  }
+
+  outcome.compiled = true;
+
+  const verify = await sandbox.run('mvn', {
+    param: ['-ntp', `-Dtest=${settings.tester}`, '-DexcludedGroups=none()|!verify', ...settings.maven, 'test'],
+    title: `Running verification tests with JDK ${jdk.name}`,
+    chdir: `${copy}/`,
+    timeout: settings.testTimeout,
+    env: env
+  }, settings.limits);
+
+  const tests = await surefire.parseReports(`${copy}/target/surefire-reports`);
+
+  outcome.passed = verify.code === 0;
+  outcome.timedOut = verify.code === utils.timeoutCode;
+  outcome.limit = verify.reason === undefined ? null : verify.reason;
+  outcome.counts = surefire.countTests(tests);
+
+  core.info(`\nJDK ${jdk.name} verification test results: ${JSON.stringify(outcome.counts)}`);
+  return outcome;
+}
+
+/*
+ * Returns true if some JDKs passed and others did not, including the default
+ * JDK used for the main verification run.
+ */
+exports.dependsOnJdk = function(outcomes, passed) {
+  return outcomes.some(outcome => outcome.passed !== passed);
+}
+
+/*
+ * Creates a Markdown table of the outcome for each JDK.
+ */
+exports.summarizeJdks = function(outcomes, passed) {
+  const rows = [
+    '| JDK | Version | Compiled | Result | Passed | Failed | Skipped | Errored |',
+    '|:----|:--------|:---------|:-------|-------:|-------:|--------:|--------:|'
+  ];
+
+  rows.push(`| Default | - | :heavy_check_mark: | ${passed ? ':heavy_check_mark: Passed' : ':x: Failed'} | - | - | - | - |`);
+
+  for (const outcome of outcomes) {
+    const compiled = outcome.compiled ? ':heavy_check_mark:' : ':x:';
+    const result = outcome.timedOut ? ':hourglass: Timed out' : outcome.limit ? `:no_entry: Reached ${outcome.limit} limit` : outcome.passed ? ':heavy_check_mark: Passed' : ':x: Failed';
+    const counts = outcome.counts || {passed: '-', failed: '-', skipped: '-', errored: '-'};
+    rows.push(`| \`${outcome.name}\` | ${outcome.version || '-'} | ${compiled} | ${result} | ${counts.passed} | ${counts.failed} | ${counts.skipped} | ${counts.errored} |`);
+  }
+
+  return rows.join('\n');
+}
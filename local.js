@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+const utils = require('./utils.js');
+
+/*
+ * Stand-ins for the github actions toolkit used by the local runner. Instead
+ * of talking to github, these read and write files in a local directory.
+ */
+
+/*
+ * Returns an error similar to the ones thrown by the octokit client.
+ */
+function requestError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/*
+ * Returns a successful octokit-style response.
+ */
+function response(data) {
+  return {status: 200, data: data};
+}
+
+/*
+ * Creates a fake octokit client backed by local directories.
+ *
+ * settings.main: the local main git repository
+ * settings.tests: the local project-tests git repository
+ * settings.releases: json file storing the fake releases
+ * settings.version: the release version being tested (created if missing)
+ */
+exports.createOctokit = function(settings) {
+  const readReleases = function() {
+    if (fs.existsSync(settings.releases)) {
+      return JSON.parse(fs.readFileSync(settings.releases, 'utf8'));
+    }
+
+    return [];
+  };
+
+  const writeReleases = function(releases) {
+    fs.writeFileSync(settings.releases, JSON.stringify(releases, null, 2));
+  };
+
+  const git = function(directory, ...args) {
+    return childProcess.execFileSync('git', args, {cwd: directory, encoding: 'utf8'}).trim();
+  };
+
+  // make sure the release being tested exists
+  const releases = readReleases();
+
+  if (settings.version && !releases.some(release => release.tag_name === settings.version)) {
+    releases.push({
+      id: releases.reduce((max, release) => Math.max(max, release.id), 0) + 1,
+      tag_name: settings.version,
+      draft: false,
+      body: '',
+      created_at: new Date().toISOString(),
+      published_at: new Date().toISOString()
+    });
+
+    writeReleases(releases);
+  }
+
+  const octokit = {
+    repos: {
+      listCommits: async function(params) {
+        const args = ['log', '--format=%H%x09%cI', `--max-count=${params.per_page || 30}`];
+
+        if (params.until) {
+          args.push(`--until=${params.until}`);
+        }
+
+        args.push(params.sha || 'HEAD');
+
+        const commits = git(settings.tests, ...args).split('\n').filter(line => line).map(line => {
+          const [sha, date] = line.split('\t');
+          return {sha: sha, commit: {committer: {date: date}}};
+        });
+
+        return response(commits);
+      },
+
+      getCommit: async function(params) {
+        const directory = params.repo === utils.testDir ? settings.tests : settings.main;
+        let found = undefined;
+
+        try {
+          found = git(directory, 'log', '-1', '--format=%H%x09%cI', params.ref);
+        }
+        catch (error) {
+          throw requestError(422, `No commit found for SHA: ${params.ref}`);
+        }
+
+        const [sha, date] = found.split('\t');
+        return response({sha: sha, commit: {committer: {date: date}}});
+      },
+
+      getContent: async function(params) {
+        const file = path.join(settings.tests, params.path);
+
+        if (!fs.existsSync(file)) {
+          throw requestError(404, 'Not Found');
+        }
+
+        return response({
+          path: params.path,
+          encoding: 'base64',
+          content: fs.readFileSync(file).toString('base64')
+        });
+      },
+
+      listReleases: async function() {
+        return response(readReleases());
+      },
+
+      getReleaseByTag: async function(params) {
+        const found = readReleases().find(release => release.tag_name === params.tag);
+
+        if (found === undefined) {
+          throw requestError(404, 'Not Found');
+        }
+
+        return response(found);
+      },
+
+      updateRelease: async function(params) {
+        const releases = readReleases();
+        const found = releases.find(release => release.id === params.release_id);
+
+        if (found === undefined) {
+          throw requestError(404, 'Not Found');
+        }
+
+        Object.assign(found, params.body === undefined ? {} : {body: params.body});
+        writeReleases(releases);
+
+        return response(found);
+      }
+    },
+
+    paginate: async function(method, params) {
+      const result = await method(params);
+      return result.data;
+    }
+  };
+
+  return octokit;
+}
+
+/*
+ * Copies a file or directory, keeping file modes and symbolic links.
+ */
+function copy(source, target) {
+  fs.mkdirSync(path.dirname(target), {recursive: true});
+  childProcess.execFileSync('cp', ['-a', source, target]);
+}
+
+/*
+ * Creates a fake cache that stores entries as directories named by key.
+ */
+exports.createCache = function(directory) {
+  return {
+    restoreCache: async function(paths, key, restoreKeys = []) {
+      if (!fs.existsSync(directory)) {
+        return undefined;
+      }
+
+      const keys = fs.readdirSync(directory);
+      let found = keys.includes(key) ? key : undefined;
+
+      // like github, use the most recent entry matching a prefix
+      for (const prefix of restoreKeys) {
+        if (found !== undefined) {
+          break;
+        }
+
+        const matched = keys
+          .filter(other => other.startsWith(prefix))
+          .map(other => ({key: other, time: fs.statSync(path.join(directory, other)).mtimeMs}))
+          .sort((first, second) => second.time - first.time);
+
+        found = matched.length > 0 ? matched[0].key : undefined;
+      }
+
+      if (found !== undefined) {
+        for (const item of paths) {
+          copy(path.join(directory, found, item), path.resolve(item));
+        }
+      }
+
+      return found;
+    },
+
+    saveCache: async function(paths, key) {
+      const target = path.join(directory, key);
+
+      if (fs.existsSync(target)) {
+        throw new Error(`Unable to reserve cache with key ${key}, another job may be creating this cache.`);
+      }
+
+      for (const item of paths) {
+        copy(path.resolve(item), path.join(target, item));
+      }
+
+      return 1;
+    }
+  };
+}
+
+/*
+ * Creates a fake artifact client that copies uploaded files into a directory
+ * named after the artifact.
+ */
+exports.createArtifactClient = function(directory) {
+  return {
+    uploadArtifact: async function(name, files, root) {
+      let size = 0;
+
+      for (const file of files) {
+        const relative = path.relative(root, file);
+        copy(path.resolve(file), path.join(directory, name, relative));
+        size += fs.statSync(file).size;
+      }
+
+      return {artifactName: name, artifactItems: files, size: size, failedItems: []};
+    }
+  };
+}
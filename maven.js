@@ -0,0 +1,86 @@
+const core = require('@actions/core');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const utils = require('./utils.js');
+
+// local maven repository with downloaded plugins and dependencies
+exports.repositoryDir = path.join(os.homedir(), '.m2', 'repository');
+
+// prefix of the maven repository cache keys
+exports.prefix = 'maven-';
+
+// pom files that decide which plugins and dependencies are downloaded
+exports.poms = [`${utils.mainDir}/pom.xml`, `${utils.testDir}/pom.xml`];
+
+/*
+ * Returns the maven repository cache key, which is a hash of the pom files.
+ * Missing pom files are included by name so they still change the key.
+ */
+exports.cacheKey = function(poms = exports.poms) {
+  const hash = crypto.createHash('sha256');
+
+  for (const pom of poms) {
+    hash.update(`${pom}\n`);
+
+    if (fs.existsSync(pom)) {
+      hash.update(fs.readFileSync(pom));
+    }
+  }
+
+  return `${exports.prefix}${hash.digest('hex')}`;
+}
+
+/*
+ * Returns the size in bytes of all of the files in a directory and its
+ * subdirectories, or 0 if the directory does not exist.
+ */
+exports.directorySize = function(directory) {
+  if (!fs.existsSync(directory)) {
+    return 0;
+  }
+
+  let size = 0;
+
+  for (const entry of fs.readdirSync(directory, {withFileTypes: true})) {
+    const file = path.join(directory, entry.name);
+
+    if (entry.isDirectory()) {
+      size += exports.directorySize(file);
+    }
+    else if (entry.isFile()) {
+      size += fs.statSync(file).size;
+    }
+  }
+
+  return size;
+}
+
+/*
+ * Formats a size in bytes as megabytes.
+ */
+exports.formatSize = function(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/*
+ * Returns the largest maven repository to save in bytes from the
+ * maven-cache-limit input (in megabytes), or 0 if there is no limit.
+ */
+exports.getLimit = function() {
+  const megabytes = parseFloat(core.getInput('maven-cache-limit'));
+  return megabytes > 0 ? Math.round(megabytes * 1024 * 1024) : 0;
+}
+
+/*
+ * Describes whether a cache was restored using the exact key (hit), another
+ * key with the same prefix (partial), or not at all (miss).
+ */
+exports.describeRestore = function(key, restored) {
+  if (restored === undefined || restored === null) {
+    return 'miss';
+  }
+
+  return restored === key ? 'hit' : 'partial';
+}
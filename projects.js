@@ -0,0 +1,196 @@
+const core = require('@actions/core');
+const yaml = require('js-yaml');
+const utils = require('./utils.js');
+const inspection = require('./inspection.js');
+const benchmark = require('./benchmark.js');
+const deadline = require('./deadline.js');
+
+/*
+ * The default mapping from release versions to projects. Entries are checked
+ * in order and the first matching pattern wins, so project 3a (v3.0.x) must
+ * appear before project 3b (all other v3.x.x releases).
+ *
+ * Each entry may include the following properties:
+ *
+ * pattern: regular expression the release version must match
+ * project: the project identifier (e.g. 1 or 3a)
+ * tester: the glob of test classes to run for the project
+ * maven: extra arguments to pass to maven when running tests (optional)
+ * tests-ref: tag, branch, or commit of the test repository to use (optional)
+ * tests-until: use the last test repository commit before this date (optional)
+ * inspection: rules checked before compiling (optional, see inspection.js)
+ * benchmark: settings to compare multithreaded run times (optional, see
+ *            benchmark.js)
+ * deadline: date and time releases are due (optional, see deadline.js)
+ * cutoff: date and time after which late releases are not accepted (optional)
+ */
+exports.defaultMapping = [
+  {pattern: '^v1\\.(\\d+)\\.(\\d+)$', project: '1', tester: 'Project1Test*'},
+  {pattern: '^v2\\.(\\d+)\\.(\\d+)$', project: '2', tester: 'Project2Test*'},
+  {pattern: '^v3\\.0+\\.(\\d+)$', project: '3a', tester: 'Project3aTest*', benchmark: {main: 'edu.usfca.cs272.Driver', args: ['-text', 'input/text/']}},
+  {pattern: '^v3\\.(\\d+)\\.(\\d+)$', project: '3b', tester: 'Project3bTest*', benchmark: {main: 'edu.usfca.cs272.Driver', args: ['-text', 'input/text/']}},
+  {pattern: '^v4\\.(\\d+)\\.(\\d+)$', project: '4', tester: 'Project4Test*'}
+];
+
+/*
+ * Checks a mapping is a non-empty list of entries with the required
+ * properties and normalizes the values. Throws an error if the mapping is
+ * not valid.
+ */
+exports.validateMapping = function(mapping) {
+  // allow mappings nested under a projects key
+  if (mapping && !Array.isArray(mapping) && 'projects' in mapping) {
+    mapping = mapping.projects;
+  }
+
+  if (!Array.isArray(mapping) || mapping.length < 1) {
+    throw new Error('Project mapping must be a non-empty list of entries.');
+  }
+
+  return mapping.map((entry, index) => {
+    for (const property of ['pattern', 'project', 'tester']) {
+      if (!entry || entry[property] === undefined || entry[property] === null || `${entry[property]}`.length < 1) {
+        throw new Error(`Project mapping entry ${index + 1} is missing the ${property} property.`);
+      }
+    }
+
+    try {
+      new RegExp(entry.pattern);
+    }
+    catch (error) {
+      throw new Error(`Project mapping entry ${index + 1} has an invalid pattern (${error.message}).`);
+    }
+
+    const maven = entry.maven === undefined ? [] : entry.maven;
+
+    if (!Array.isArray(maven)) {
+      throw new Error(`Project mapping entry ${index + 1} must list maven arguments as an array.`);
+    }
+
+    if (entry['tests-until'] !== undefined && isNaN(Date.parse(entry['tests-until']))) {
+      throw new Error(`Project mapping entry ${index + 1} has an invalid tests-until date (${entry['tests-until']}).`);
+    }
+
+    const normalized = Object.assign({}, entry, {
+      pattern: `${entry.pattern}`,
+      project: `${entry.project}`,
+      tester: `${entry.tester}`,
+      maven: maven.map(arg => `${arg}`)
+    });
+
+    if (entry.inspection !== undefined) {
+      normalized.inspection = inspection.validateRules(entry.inspection, `Project mapping entry ${index + 1}`);
+    }
+
+    if (entry.benchmark !== undefined) {
+      normalized.benchmark = benchmark.validateSettings(entry.benchmark, `Project mapping entry ${index + 1}`);
+    }
+
+    const due = deadline.validateDeadline(entry, `Project mapping entry ${index + 1}`);
+
+    if (due !== undefined) {
+      Object.assign(normalized, due);
+    }
+
+    return normalized;
+  });
+}
+
+/*
+ * Parses a YAML or JSON project mapping. Since JSON is valid YAML, the same
+ * parser handles both formats.
+ */
+exports.parseMapping = function(text, source) {
+  let parsed = undefined;
+
+  try {
+    parsed = yaml.load(text);
+  }
+  catch (error) {
+    throw new Error(`Unable to parse project mapping from ${source} (${error.message}).`);
+  }
+
+  return exports.validateMapping(parsed);
+}
+
+/*
+ * Loads the project mapping from the mapping action input, the mapping-file
+ * in the test repository, or the default mapping (in that order).
+ *
+ * octokit: the authenticated github client
+ * owner: the owner of the test repository
+ * repo: the name of the test repository
+ */
+exports.loadMapping = async function(octokit, owner, repo) {
+  const input = core.getInput('mapping');
+
+  if (input) {
+    core.info('Using project mapping from action input.');
+    return exports.parseMapping(input, 'action input');
+  }
+
+  const file = core.getInput('mapping-file');
+
+  if (file) {
+    core.info(`Using project mapping from ${file} in ${owner}/${repo}.`);
+    let response = undefined;
+
+    try {
+      response = await utils.retry(() => octokit.repos.getContent({
+        owner: owner,
+        repo: repo,
+        path: file
+      }), {title: `Fetching ${file}`});
+    }
+    catch (error) {
+      throw new Error(`Unable to fetch project mapping ${file} from ${owner}/${repo} (${error.message.toLowerCase()}).`);
+    }
+
+    const text = Buffer.from(response.data.content, response.data.encoding || 'base64').toString('utf8');
+    return exports.parseMapping(text, file);
+  }
+
+  core.info('Using default project mapping.');
+  return exports.validateMapping(exports.defaultMapping);
+}
+
+/*
+ * Returns the first mapping entry whose pattern matches the version, or
+ * undefined if there is no match.
+ */
+exports.matchVersion = function(mapping, version) {
+  return mapping.find(entry => new RegExp(entry.pattern).test(version));
+}
+
+/*
+ * Returns the mapping entry for a project identifier, or undefined if there
+ * is no such project.
+ */
+exports.findProject = function(mapping, project) {
+  return mapping.find(entry => entry.project === `${project}`);
+}
+
+/*
+ * Determines the mapping entry for a version, falling back to the project
+ * input if the version does not match any pattern. Throws an error listing
+ * the valid patterns and projects if neither works.
+ */
+exports.resolveProject = function(mapping, version, input) {
+  const matched = exports.matchVersion(mapping, version);
+
+  if (matched !== undefined) {
+    return matched;
+  }
+
+  if (input) {
+    core.info('Using user input for project number.');
+    const found = exports.findProject(mapping, input);
+
+    if (found !== undefined) {
+      return found;
+    }
+  }
+
+  const patterns = mapping.map(entry => `${entry.pattern} (project ${entry.project})`).join(', ');
+  throw new Error(`Unable to determine project from ${version} or user input. Double check release is properly named (with a lowercase "v" at the start). Valid patterns are: ${patterns}.`);
+}
@@ -0,0 +1,193 @@
+const github = require('@actions/github');
+const surefire = require('./surefire.js');
+const result = require('./result.js');
+const flaky = require('./flaky.js');
+const utils = require('./utils.js');
+const deadline = require('./deadline.js');
+
+// markers around the part of the release description owned by the action
+exports.start = '<!-- test-project:start -->';
+exports.end = '<!-- test-project:end -->';
+
+// maximum number of earlier runs to keep in the history
+exports.historyLimit = 5;
+
+// matches the one-line descriptions written by earlier versions of the action
+const legacy = /^:octocat: .+ See action run #\d+ \(\d+\)\.$/;
+
+// matches the hidden data saved in the results section
+const data = /<!-- test-project:data (.*?) -->/;
+
+/*
+ * Splits a release description into the text written by the student (before
+ * and after the results section) and the results section itself.
+ */
+exports.splitBody = function(body) {
+  const text = body ? `${body}` : '';
+  const first = text.indexOf(exports.start);
+  const last = text.indexOf(exports.end, first);
+
+  if (first < 0 || last < 0) {
+    return {
+      before: legacy.test(text.trim()) ? '' : text.trimEnd(),
+      section: '',
+      after: ''
+    };
+  }
+
+  return {
+    before: text.substring(0, first).trimEnd(),
+    section: text.substring(first, last + exports.end.length),
+    after: text.substring(last + exports.end.length).trim()
+  };
+}
+
+/*
+ * Returns the hidden data saved in the results section of a release
+ * description, or undefined if there is none.
+ */
+exports.parseData = function(body) {
+  const section = exports.splitBody(body).section;
+  const matched = section.match(data);
+
+  if (matched === null) {
+    return undefined;
+  }
+
+  try {
+    return JSON.parse(matched[1]);
+  }
+  catch (error) {
+    return undefined;
+  }
+}
+
+/*
+ * Creates the history entry for the current run.
+ */
+exports.createEntry = function(states, results) {
+  const main = results.repositories.main;
+  const tests = results.repositories.tests;
+
+  return {
+    run: github.context.runNumber,
+    id: github.context.runId,
+    date: new Date().toISOString(),
+    passed: states.passed === true,
+    main: main ? main.sha : null,
+    tests: tests ? tests.sha : null
+  };
+}
+
+/*
+ * Returns a short commit hash, or a dash if there is no commit.
+ */
+function shortSha(sha) {
+  return sha ? `\`${sha.substring(0, 7)}\`` : '-';
+}
+
+/*
+ * Creates a Markdown table of the run history, most recent first.
+ */
+exports.summarizeHistory = function(history) {
+  const rows = [
+    '| Run | Date | Result | Main Commit | Test Commit |',
+    '|:----|:-----|:-------|:------------|:------------|'
+  ];
+
+  for (const entry of history) {
+    const mark = entry.passed ? ':heavy_check_mark: Passed' : ':x: Failed';
+    rows.push(`| #${entry.run} | ${entry.date.substring(0, 10)} | ${mark} | ${shortSha(entry.main)} | ${shortSha(entry.tests)} |`);
+  }
+
+  return rows.join('\n');
+}
+
+/*
+ * Creates the results section of the release description, including the
+ * history of earlier runs.
+ */
+exports.createSection = function(states, results, history) {
+  const lines = [exports.start];
+  const url = utils.runUrl();
+
+  lines.push(`### ${states.passed === true ? ':heavy_check_mark:' : ':x:'} ${states.message}`);
+
+  if ('timedOut' in states) {
+    lines.push(`:hourglass: The ${states.timedOut} test run timed out and was stopped.`);
+  }
+
+  if ('submission' in states) {
+    lines.push(deadline.describeSubmission(states.submission));
+  }
+
+  if ('limit' in states) {
+    lines.push(`:no_entry: The verification test run reached the ${states.limit} sandbox limit and was stopped.`);
+  }
+
+  const tests = result.lastTests(results);
+
+  if (tests.length > 0) {
+    lines.push(surefire.summarizeTests(tests));
+  }
+
+  if (results.flaky.length > 0) {
+    lines.push(`<details><summary>Re-run tests</summary>\n\n${flaky.summarizeTests(results.flaky)}\n</details>`);
+  }
+
+  if (results.benchmark !== null) {
+    lines.push(`**Benchmark speedup:** ${results.benchmark.speedup}x${results.benchmark.required === null ? '' : ` (at least ${results.benchmark.required}x required)`}`);
+  }
+
+  if ('categories' in results.warnings) {
+    const categories = Object.keys(results.warnings.categories).sort()
+      .map(category => `\`${category}\`: ${results.warnings.categories[category]}`);
+
+    lines.push(`**Compiler warnings:** ${results.warnings.main}${categories.length > 0 ? ` (${categories.join(', ')})` : ''}`);
+  }
+
+  const repositories = ['main', 'tests']
+    .filter(key => key in results.repositories)
+    .map(key => {
+      const repository = results.repositories[key];
+      const pinned = [
+        repository.ref ? `at \`${repository.ref}\`` : '',
+        repository.until ? `until ${repository.until}` : ''
+      ].filter(text => text).join(' ');
+
+      return `\`${repository.name}\` ${shortSha(repository.sha)}${pinned ? ` (pinned ${pinned})` : ''}`;
+    });
+
+  if (repositories.length > 0) {
+    lines.push(`**Tested commits:** ${repositories.join(', ')}`);
+  }
+
+  const artifacts = results.artifacts.map(name => `[${name}](${url})`);
+  lines.push(`**Artifacts:** ${artifacts.length > 0 ? artifacts.join(', ') : 'none'} from [action run #${github.context.runNumber}](${url})`);
+
+  if (history.length > 1) {
+    lines.push(`<details><summary>Run history</summary>\n\n${exports.summarizeHistory(history)}\n</details>`);
+  }
+
+  lines.push(`<!-- test-project:data ${JSON.stringify({passed: states.passed === true, history: history})} -->`);
+  lines.push(exports.end);
+
+  return lines.join('\n\n');
+}
+
+/*
+ * Returns the updated release description. Anything the student wrote
+ * outside of the results section is kept, and the results section is added
+ * or replaced with the results of this run.
+ */
+exports.updateBody = function(body, states, results) {
+  const split = exports.splitBody(body);
+  const saved = exports.parseData(body);
+  const earlier = saved && Array.isArray(saved.history) ? saved.history : [];
+
+  const history = [exports.createEntry(states, results), ...earlier]
+    .slice(0, exports.historyLimit);
+
+  const section = exports.createSection(states, results, history);
+  return [split.before, section, split.after].filter(text => text).join('\n\n');
+}
@@ -0,0 +1,164 @@
+const core = require('@actions/core');
+const github = require('@actions/github');
+const fs = require('fs');
+const path = require('path');
+
+// increment whenever the structure of the result document changes
+exports.schema = 11;
+
+exports.file = 'result.json';
+exports.artifact = 'Verification Result';
+
+// environment variable with the release verified by a batch run
+exports.batchVariable = 'TEST_PROJECT_BATCH';
+
+/*
+ * Creates an empty result document. The document is built up by the pre,
+ * main, and post phases and uploaded by the post phase.
+ */
+exports.create = function() {
+  return {
+    schema: exports.schema,
+    run: {
+      id: github.context.runId,
+      number: github.context.runNumber,
+      ref: github.context.ref
+    },
+    project: null,
+    version: null,
+    passed: null,
+    message: null,
+    timedOut: null,
+    limit: null,
+    submission: null,
+    repositories: {},
+    warnings: {},
+    tests: {},
+    flaky: [],
+    coverage: null,
+    inspection: [],
+    benchmark: null,
+    jdks: [],
+    caches: {},
+    timings: {},
+    artifacts: []
+  };
+}
+
+/*
+ * Restores the result document saved by an earlier phase, or creates a new
+ * one if there is nothing to restore.
+ */
+exports.load = function() {
+  const saved = core.getState('result');
+
+  if (saved && fs.existsSync(saved)) {
+    try {
+      const loaded = JSON.parse(fs.readFileSync(saved, 'utf8'));
+
+      if (loaded.schema === exports.schema) {
+        return loaded;
+      }
+
+      core.info(`Ignoring result document with schema ${loaded.schema}.`);
+    }
+    catch (error) {
+      core.info(`Ignoring invalid result document (${error.message}).`);
+    }
+  }
+
+  return exports.create();
+}
+
+/*
+ * Saves the result document for the next phase. The document is kept in the
+ * workspace and only its path is saved as state, since states are passed on
+ * as environment variables and the document can grow past their size limit.
+ */
+exports.save = function(result) {
+  const file = path.resolve(exports.file);
+
+  fs.writeFileSync(file, JSON.stringify(result, null, 2));
+  core.saveState('result', file);
+}
+
+/*
+ * Records how long a step took in milliseconds, given the time it started.
+ */
+exports.time = function(result, step, start) {
+  result.timings[step] = Date.now() - start;
+}
+
+/*
+ * Records the outcome of every test in a test run.
+ */
+exports.addTests = function(result, run, tests, counts) {
+  result.tests[run] = {
+    counts: counts,
+    tests: tests.map(test => ({
+      classname: test.classname,
+      name: test.name,
+      outcome: test.outcome,
+      time: test.time,
+      message: test.message || null
+    }))
+  };
+}
+
+/*
+ * Returns the test outcomes from the last test run (the debug run if there
+ * was one), or an empty list if no tests were run.
+ */
+exports.lastTests = function(result) {
+  const run = 'debug' in result.tests ? result.tests.debug : result.tests.verify;
+  return run === undefined ? [] : run.tests;
+}
+
+/*
+ * Records the name of an uploaded artifact.
+ */
+exports.addArtifact = function(result, name) {
+  if (!result.artifacts.includes(name)) {
+    result.artifacts.push(name);
+  }
+}
+
+/*
+ * Returns the name to upload an artifact with, which includes the release
+ * during batch runs so the artifacts of each release do not collide.
+ */
+exports.artifactName = function(name) {
+  const release = process.env[exports.batchVariable];
+  return release ? `${name} ${release}` : name;
+}
+
+/*
+ * Exposes the result document as action outputs.
+ */
+exports.setOutputs = function(result) {
+  core.setOutput('passed', result.passed === true);
+  core.setOutput('project', result.project);
+  core.setOutput('version', result.version);
+  core.setOutput('result', JSON.stringify(result));
+}
+
+/*
+ * Writes the result document to a file and uploads it as an artifact.
+ */
+exports.upload = async function(result, artifactClient) {
+  const name = exports.artifactName(exports.artifact);
+
+  exports.addArtifact(result, name);
+  fs.writeFileSync(exports.file, JSON.stringify(result, null, 2));
+
+  const upload = await artifactClient.uploadArtifact(
+    name, [exports.file], '.'
+  );
+
+  if (upload.failedItems.length != 0) {
+    const items = upload.failedItems.join(', ');
+    throw new Error(`Failed to upload: ${items}.`);
+  }
+
+  return upload;
+}
@@ -0,0 +1,223 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const utils = require('./utils.js');
+const maven = require('./maven.js');
+
+// directory in the test repository the tests may still write to
+exports.actualDir = `${utils.testDir}/actual`;
+
+// exit code of processes killed for using too much cpu time (SIGXCPU)
+exports.cpuCode = 128 + 24;
+
+// characters of output kept to find the limit reached
+exports.outputLimit = 100000;
+
+// virtual memory in megabytes each process may use beyond the memory limit,
+// since the jvm reserves address space it does not use for the heap
+exports.memoryOverhead = 1024;
+
+// environment variables hidden from the student code, including the files
+// used to pass environment variables, outputs, and states to later steps
+exports.hidden = /^(INPUT_|ACTIONS_|GITHUB_(ENV|PATH|STATE|OUTPUT|STEP_SUMMARY)$)|TOKEN|SECRET|PASSWORD/i;
+
+// output that shows which limit was reached, checked in order
+exports.reasons = [
+  {reason: 'memory', pattern: /(OutOfMemoryError: (Java heap space|GC overhead limit exceeded)|Could not reserve enough space|insufficient memory for the Java Runtime Environment)/},
+  {reason: 'processes', pattern: /(unable to create (new )?native thread|Resource temporarily unavailable)/},
+  {reason: 'cpu', pattern: new RegExp(`(Process Exit Code: ${exports.cpuCode}|CPU time limit exceeded)`)},
+  {reason: 'read-only', pattern: new RegExp(`${utils.testDir}\\S*: (Permission denied|Read-only file system)|AccessDeniedException: \\S*${utils.testDir}`)}
+];
+
+/*
+ * Returns the sandbox limits from the action inputs, or undefined if the
+ * sandbox is disabled. Limits that are not positive are not applied.
+ */
+exports.getLimits = function() {
+  if (!core.getBooleanInput('sandbox')) {
+    return undefined;
+  }
+
+  const memory = parseInt(core.getInput('memory-limit'));
+  const processes = parseInt(core.getInput('process-limit'));
+
+  return {
+    memory: memory > 0 ? memory : 0,
+    cpu: utils.getTimeout('cpu-limit'),
+    processes: processes > 0 ? processes : 0
+  };
+}
+
+/*
+ * Returns the directories the student code may write to when run from a
+ * directory: that directory (unless it is in the test repository), the actual
+ * directory of the tests, and the local maven repository. Paths are absolute.
+ */
+exports.writableDirs = function(directory) {
+  const tests = path.resolve(utils.testDir);
+  const writable = [path.resolve(exports.actualDir), maven.repositoryDir];
+  const relative = path.relative(tests, path.resolve(directory));
+
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    writable.unshift(path.resolve(directory));
+  }
+
+  return writable;
+}
+
+/*
+ * Wraps a command so it runs inside a bubblewrap sandbox, where the file
+ * system is read-only except for the writable directories and a private
+ * /tmp, and with the virtual memory, cpu time, and process limits applied
+ * using the ulimit shell builtin. Returns the new command and parameters.
+ */
+exports.wrap = function(command, param, limits, writable = []) {
+  const ulimits = [];
+
+  if (limits.memory > 0) {
+    ulimits.push(`ulimit -v ${(limits.memory + exports.memoryOverhead) * 1024}`);
+  }
+
+  if (limits.cpu > 0) {
+    ulimits.push(`ulimit -t ${limits.cpu}`);
+  }
+
+  if (limits.processes > 0) {
+    ulimits.push(`ulimit -u ${limits.processes}`);
+  }
+
+  const mounts = ['--ro-bind', '/', '/', '--dev', '/dev', '--proc', '/proc', '--tmpfs', '/tmp'];
+
+  for (const directory of writable) {
+    mounts.push('--bind', directory, directory);
+  }
+
+  const options = ['--unshare-pid', '--unshare-ipc', '--new-session', '--die-with-parent'];
+
+  const inner = ulimits.length < 1 ? [command, ...param] :
+    ['bash', '-c', `${ulimits.join(' && ')} && exec "$@"`, 'sandbox', command, ...param];
+
+  return {
+    command: 'bwrap',
+    param: [...mounts, ...options, '--', ...inner]
+  };
+}
+
+/*
+ * Returns the environment for the student code, which hides tokens, other
+ * secrets, and the github command files, and caps the heap of every java
+ * process (including forked test processes) to the memory limit. The heap
+ * cap gives a clear out of memory error, but code may raise it (like with an
+ * argLine in the pom), so the virtual memory limit is what enforces it. The
+ * other options keep the address space the jvm reserves small.
+ */
+exports.environment = function(limits, env = process.env) {
+  const sandboxed = {};
+
+  for (const name in env) {
+    if (exports.hidden.test(name)) {
+      sandboxed[name] = undefined;
+    }
+  }
+
+  if (limits.memory > 0) {
+    const options = env.JAVA_TOOL_OPTIONS ? `${env.JAVA_TOOL_OPTIONS} ` : '';
+    sandboxed.JAVA_TOOL_OPTIONS = `${options}-XX:CompressedClassSpaceSize=64m -XX:ReservedCodeCacheSize=64m -Xmx${limits.memory}m`;
+    sandboxed.MALLOC_ARENA_MAX = '2';
+  }
+
+  return sandboxed;
+}
+
+/*
+ * Returns the limit reached by a sandboxed run based on its exit code and
+ * output, or undefined if no limit was reached.
+ */
+exports.findReason = function(code, output) {
+  if (code === exports.cpuCode) {
+    return 'cpu';
+  }
+
+  const found = exports.reasons.find(reason => reason.pattern.test(output));
+  return found === undefined ? undefined : found.reason;
+}
+
+/*
+ * Describes a sandbox limit for failure messages.
+ */
+exports.describeReason = function(reason, limits) {
+  switch (reason) {
+    case 'memory':
+      return `ran out of memory (limited to ${limits.memory} MB)`;
+    case 'cpu':
+      return `used too much cpu time (limited to ${limits.cpu / 60} minutes)`;
+    case 'processes':
+      return `created too many processes or threads (limited to ${limits.processes})`;
+    case 'read-only':
+      return `tried to modify ${utils.testDir} outside of the actual directory`;
+    default:
+      return 'reached a sandbox limit';
+  }
+}
+
+/*
+ * Runs a command using checkExec, but inside the sandbox if there are limits.
+ * Returns the exit code and the limit reached (undefined if none).
+ *
+ * command: the command to exec
+ * settings: the checkExec settings (without listeners); the sandbox env
+ *           is applied on top of any env given
+ * limits: the sandbox limits, or undefined if the sandbox is disabled
+ */
+exports.run = async function(command, settings, limits) {
+  if (limits === undefined) {
+    return {code: await utils.checkExec(command, settings), reason: undefined};
+  }
+
+  const writable = exports.writableDirs('chdir' in settings ? settings.chdir : '.');
+
+  // bubblewrap can only bind directories that exist
+  for (const directory of writable) {
+    fs.mkdirSync(directory, {recursive: true});
+  }
+
+  const wrapped = exports.wrap(command, 'param' in settings ? settings.param : [], limits, writable);
+  let output = '';
+
+  // only the end of the output is needed to find the limit reached
+  const listener = (data) => {
+    output = (output + data.toString()).slice(-exports.outputLimit);
+  };
+
+  const env = 'env' in settings ? settings.env : {};
+
+  const code = await utils.checkExec(wrapped.command, Object.assign({}, settings, {
+    param: wrapped.param,
+    env: Object.assign({}, env, exports.environment(limits, Object.assign({}, process.env, env))),
+    listeners: {stdout: listener, stderr: listener}
+  }));
+
+  return {code: code, reason: code === 0 ? undefined : exports.findReason(code, output)};
+}
+
+/*
+ * Checks that the bubblewrap sandbox can run on this runner. Throws an error
+ * if bubblewrap is missing or unable to start.
+ */
+exports.check = async function() {
+  let code = undefined;
+
+  try {
+    code = await utils.checkExec('bwrap', {
+      param: ['--ro-bind', '/', '/', '--unshare-pid', '--', 'true'],
+      title: 'Checking bubblewrap sandbox'
+    });
+  }
+  catch (error) {
+    throw new Error(`The sandbox requires bubblewrap. Install it with "sudo apt-get install -y bubblewrap" (${error.message}).`);
+  }
+
+  if (code !== 0) {
+    throw new Error(`Unable to start the bubblewrap sandbox (${code}). User namespaces may be disabled on this runner.`);
+  }
+}
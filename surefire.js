@@ -0,0 +1,216 @@
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+const utils = require('./utils.js');
+
+exports.reportDir = `${utils.mainDir}/target/surefire-reports`;
+exports.sourceDir = `${utils.testDir}/src/test/java`;
+
+/*
+ * Converts a single testcase element into a test outcome. The outcome is
+ * one of passed, failed, errored, or skipped.
+ */
+function parseTestCase(testcase) {
+  const attrs = testcase.$ || {};
+
+  const test = {
+    classname: attrs.classname || '',
+    name: attrs.name || '',
+    time: parseFloat(attrs.time) || 0,
+    outcome: 'passed'
+  };
+
+  const types = {failure: 'failed', error: 'errored', skipped: 'skipped'};
+
+  for (const type in types) {
+    if (type in testcase) {
+      const element = testcase[type][0];
+      test.outcome = types[type];
+
+      if (typeof element === 'string') {
+        test.details = element;
+      }
+      else if (element) {
+        test.message = element.$ && element.$.message ? element.$.message : '';
+        test.type = element.$ && element.$.type ? element.$.type : '';
+        test.details = element._ || '';
+      }
+
+      break;
+    }
+  }
+
+  return test;
+}
+
+/*
+ * Parses a single surefire XML report into a list of test outcomes.
+ */
+exports.parseReport = async function(text) {
+  const xml = await xml2js.parseStringPromise(text);
+  const suites = 'testsuites' in xml ? xml.testsuites.testsuite || [] : [xml.testsuite];
+  const tests = [];
+
+  for (const suite of suites) {
+    for (const testcase of suite.testcase || []) {
+      tests.push(parseTestCase(testcase));
+    }
+  }
+
+  return tests;
+}
+
+/*
+ * Parses all of the TEST-*.xml surefire reports in the report directory.
+ * Returns an empty list if the directory does not exist (e.g. when the
+ * tests were never run).
+ */
+exports.parseReports = async function(directory = exports.reportDir) {
+  const tests = [];
+
+  if (!fs.existsSync(directory)) {
+    return tests;
+  }
+
+  const files = fs.readdirSync(directory)
+    .filter(file => file.startsWith('TEST-') && file.endsWith('.xml'))
+    .sort();
+
+  for (const file of files) {
+    try {
+      const text = fs.readFileSync(path.join(directory, file), 'utf8');
+      tests.push(...await exports.parseReport(text));
+    }
+    catch (error) {
+      utils.showWarning(`Unable to parse ${file} (${error.message}).`);
+    }
+  }
+
+  return tests;
+}
+
+/*
+ * Counts the number of tests with each outcome.
+ */
+exports.countTests = function(tests) {
+  const counts = {passed: 0, failed: 0, skipped: 0, errored: 0};
+
+  for (const test of tests) {
+    counts[test.outcome]++;
+  }
+
+  return counts;
+}
+
+/*
+ * Groups tests by their (possibly nested) test class, keeping the order in
+ * which the classes were first seen.
+ */
+exports.groupTests = function(tests) {
+  const groups = new Map();
+
+  for (const test of tests) {
+    if (!groups.has(test.classname)) {
+      groups.set(test.classname, []);
+    }
+
+    groups.get(test.classname).push(test);
+  }
+
+  return groups;
+}
+
+/*
+ * Returns the short name of a test class, using "." between nested classes.
+ * For example, edu.usfca.Project1Test$Output becomes Project1Test.Output
+ */
+exports.className = function(classname) {
+  const simple = classname.split('.').pop();
+  return simple.split('$').join('.');
+}
+
+/*
+ * Returns the method name for a test, removing any parameters or display
+ * information added by JUnit.
+ */
+exports.methodName = function(name) {
+  return name.split(/[(\[]/)[0].trim();
+}
+
+/*
+ * Returns the source file (relative to the workspace) for the outer class of
+ * a (possibly nested) test class.
+ */
+exports.sourceFile = function(classname) {
+  const outer = classname.split('$')[0];
+  return `${exports.sourceDir}/${outer.split('.').join('/')}.java`;
+}
+
+/*
+ * Finds the line number declaring the test method in the test source code,
+ * or undefined if the source or method cannot be found.
+ */
+exports.findLine = function(file, method) {
+  if (!fs.existsSync(file)) {
+    return undefined;
+  }
+
+  // method names come from the report and may contain regex characters
+  const escaped = `${method}`.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const regex = new RegExp(`\\b(void|[\\w<>\\[\\]]+)\\s+${escaped}\\s*\\(`);
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/);
+  const index = lines.findIndex(line => regex.test(line));
+
+  return index < 0 ? undefined : index + 1;
+}
+
+/*
+ * Adds an error annotation for each failed or errored test, pointing at the
+ * test method in the test class when it can be found.
+ */
+exports.annotateTests = function(tests) {
+  for (const test of tests) {
+    if (test.outcome !== 'failed' && test.outcome !== 'errored') {
+      continue;
+    }
+
+    const method = exports.methodName(test.name);
+    const file = exports.sourceFile(test.classname);
+    const line = exports.findLine(file, method);
+
+    const label = test.outcome === 'failed' ? 'failed' : 'encountered an error';
+    const title = `${exports.className(test.classname)}.${method} ${label}`;
+    const message = test.message ? test.message : test.type || 'No details available.';
+
+    const properties = {title: title};
+
+    if (line !== undefined) {
+      properties.file = file;
+      properties.startLine = line;
+    }
+
+    core.error(message, properties);
+  }
+}
+
+/*
+ * Creates a Markdown table of test outcomes grouped by test class.
+ */
+exports.summarizeTests = function(tests) {
+  const rows = [
+    '| Test Class | Passed | Failed | Skipped | Errored |',
+    '|:-----------|-------:|-------:|--------:|--------:|'
+  ];
+
+  for (const [classname, group] of exports.groupTests(tests)) {
+    const counts = exports.countTests(group);
+    const mark = counts.failed + counts.errored > 0 ? ':x:' : ':heavy_check_mark:';
+    rows.push(`| ${mark} \`${exports.className(classname)}\` | ${counts.passed} | ${counts.failed} | ${counts.skipped} | ${counts.errored} |`);
+  }
+
+  const total = exports.countTests(tests);
+  rows.push(`| **Total** | **${total.passed}** | **${total.failed}** | **${total.skipped}** | **${total.errored}** |`);
+
+  return rows.join('\n');
+}